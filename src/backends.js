@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Registry of naming backends
+ *
+ * A backend is one way of renaming the process: process.title, prctl
+ * through FFI, /proc/self/comm, the command line, or anything registered by
+ * the application (e.g. a systemd status). setProcessName runs every
+ * available backend in order and reports each outcome by id, and why the
+ * failed ones failed.
+ */
+
+import { toFailure } from './errors.js';
+
+/**
+ * @typedef {Object} BackendContext
+ * @property {string} name - The requested process name
+ * @property {string} kernelName - The name for the 15-byte kernel name
+ * (already truncated, or the `comm` option)
+ * @property {'default' | 'cmdline'} mode - The requested mode
+ * @property {string | undefined} libcPath - Explicit path to libc
+ * @property {string} fit - How names too long for a length-limited target
+ * are shortened (see fitProcessName)
+ * @property {string} runtime - Detected runtime
+ * @property {string} platform - Detected platform
+ * @property {boolean} sync - Whether the caller is synchronous; a promise
+ * returned by a backend in a synchronous call is not waited for
+ */
+
+/**
+ * @typedef {Object} Backend
+ * @property {string} id - Unique id, the key in `SetProcessNameResult.backends`
+ * @property {(context: BackendContext) => boolean} isAvailable - Whether the
+ * backend can run here; unavailable backends are left out of the results
+ * @property {(name: string, context: BackendContext) => boolean | null | Promise<boolean | null>} apply
+ * - Rename the process: true if it worked, false if it failed, null if
+ *   there was nothing to do. Throwing counts as failure; an error with a
+ *   string `code` (such as a ProcessNameError) reports that code.
+ * @property {(context: BackendContext) => string | null | Promise<string | null>} [read]
+ * - Read back the name this backend sets, used by `verify`
+ * @property {boolean} [kernel] - Whether the backend sets the kernel name;
+ * on Linux `verify` reads through these, elsewhere through the others
+ */
+
+// Registered backends by id, in registration order
+const registry = new Map();
+
+// Ids set by setBackendOrder to run first, or null for registration order
+let preferredOrder = null;
+
+/**
+ * Validate a backend descriptor
+ * @param {Backend} backend - The backend
+ */
+const assertBackend = (backend) => {
+  if (typeof backend !== 'object' || backend === null) {
+    throw new TypeError('Backend must be an object');
+  }
+  if (typeof backend.id !== 'string' || backend.id === '') {
+    throw new TypeError('Backend id must be a non-empty string');
+  }
+  if (typeof backend.isAvailable !== 'function') {
+    throw new TypeError(
+      `Backend ${backend.id}: isAvailable must be a function`
+    );
+  }
+  if (typeof backend.apply !== 'function') {
+    throw new TypeError(`Backend ${backend.id}: apply must be a function`);
+  }
+  if (backend.read !== undefined && typeof backend.read !== 'function') {
+    throw new TypeError(`Backend ${backend.id}: read must be a function`);
+  }
+};
+
+/**
+ * Validate a list of backend ids
+ * @param {string[]} ids - Backend ids
+ */
+const assertBackendIds = (ids) => {
+  if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string')) {
+    throw new TypeError('Backend order must be an array of backend ids');
+  }
+};
+
+/**
+ * Add a naming backend, or replace the one registered under the same id
+ * (keeping its place in the order)
+ *
+ * @param {Backend} backend - The backend
+ * @returns {() => boolean} Function that unregisters the backend
+ * @throws {TypeError} If the backend is malformed
+ *
+ * @example
+ * import { registerBackend } from 'set-process-name';
+ *
+ * registerBackend({
+ *   id: 'systemd-status',
+ *   isAvailable: () => Boolean(process.env.NOTIFY_SOCKET),
+ *   apply: (name) => notify(`STATUS=${name}`),
+ * });
+ */
+export const registerBackend = (backend) => {
+  assertBackend(backend);
+  registry.set(backend.id, { ...backend });
+  return () => unregisterBackend(backend.id);
+};
+
+/**
+ * Remove a naming backend
+ *
+ * @param {string} id - Backend id
+ * @returns {boolean} Whether a backend was registered under that id
+ */
+export const unregisterBackend = (id) => registry.delete(id);
+
+/**
+ * Set the order backends run in. Listed ids run first, in the given order;
+ * backends not listed run after them in registration order. Pass null to
+ * go back to registration order.
+ *
+ * @param {string[] | null} ids - Backend ids
+ * @throws {TypeError} If ids is not an array of strings or null
+ *
+ * @example
+ * import { setBackendOrder } from 'set-process-name';
+ *
+ * setBackendOrder(['comm', 'title']);
+ */
+export const setBackendOrder = (ids) => {
+  if (ids !== null) {
+    assertBackendIds(ids);
+  }
+  preferredOrder = ids === null ? null : [...ids];
+};
+
+/**
+ * Get the ids of the registered backends, in the order they run
+ *
+ * @returns {string[]}
+ */
+export const getBackendOrder = () => {
+  const listed = (preferredOrder ?? []).filter((id) => registry.has(id));
+  const rest = [...registry.keys()].filter((id) => !listed.includes(id));
+  return [...listed, ...rest];
+};
+
+/**
+ * Select the backends to run: the given ids only, in that order, or every
+ * registered backend in the configured order
+ * @param {string[]} [ids] - Backend ids
+ * @returns {Backend[]}
+ */
+const selectBackends = (ids) => {
+  if (ids !== undefined) {
+    assertBackendIds(ids);
+  }
+  return (ids ?? getBackendOrder())
+    .map((id) => registry.get(id))
+    .filter(Boolean);
+};
+
+/**
+ * Whether a backend can run, treating a throwing isAvailable as unavailable
+ * @param {Backend} backend - The backend
+ * @param {BackendContext} context - Call context
+ * @returns {boolean}
+ */
+const isAvailable = (backend, context) => {
+  try {
+    return Boolean(backend.isAvailable(context));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Normalize what apply returned
+ * @param {unknown} value - Return value of apply
+ * @returns {boolean | null}
+ */
+const toOutcome = (value) => (value === null ? null : value === true);
+
+/**
+ * Whether a value is a promise (or any thenable)
+ * @param {unknown} value - The value
+ * @returns {boolean}
+ */
+const isThenable = (value) => typeof value?.then === 'function';
+
+/**
+ * @typedef {Object} BackendRun
+ * @property {Record<string, boolean | null>} outcomes - Outcome by backend id
+ * @property {import('./errors.js').ProcessNameFailure[]} errors - Why the
+ * failed backends failed, in the order they ran
+ */
+
+/**
+ * Record the outcome of one backend
+ * @param {BackendRun} run - Outcomes so far
+ * @param {string} id - Backend id
+ * @param {boolean | null} outcome - The outcome
+ * @param {unknown} [error] - What the backend threw, if it did
+ */
+const record = (run, id, outcome, error = null) => {
+  run.outcomes[id] = outcome;
+  if (outcome === false) {
+    run.errors.push(toFailure(id, error));
+  }
+};
+
+/**
+ * Run the available backends in order
+ * @param {BackendContext} context - Call context
+ * @param {string[]} [ids] - Backend ids to run instead of all of them
+ * @returns {Promise<BackendRun>}
+ */
+export const applyBackends = async (context, ids) => {
+  const run = { outcomes: {}, errors: [] };
+  for (const backend of selectBackends(ids)) {
+    if (!isAvailable(backend, context)) {
+      continue;
+    }
+    try {
+      record(
+        run,
+        backend.id,
+        toOutcome(await backend.apply(context.name, context))
+      );
+    } catch (error) {
+      record(run, backend.id, false, error);
+    }
+  }
+  return run;
+};
+
+/**
+ * Run the available backends in order without waiting. Backends that return
+ * a promise are reported as null.
+ * @param {BackendContext} context - Call context
+ * @param {string[]} [ids] - Backend ids to run instead of all of them
+ * @returns {BackendRun}
+ */
+export const applyBackendsSync = (context, ids) => {
+  const run = { outcomes: {}, errors: [] };
+  for (const backend of selectBackends(ids)) {
+    if (!isAvailable(backend, context)) {
+      continue;
+    }
+    try {
+      const value = backend.apply(context.name, context);
+      if (isThenable(value)) {
+        // Not waited for; keep a rejection from going unhandled
+        value.then(null, () => {});
+        record(run, backend.id, null);
+      } else {
+        record(run, backend.id, toOutcome(value));
+      }
+    } catch (error) {
+      record(run, backend.id, false, error);
+    }
+  }
+  return run;
+};
+
+/**
+ * Backends that `verify` reads through: kernel-name backends on Linux,
+ * the others elsewhere. All registered backends are considered, since what
+ * `ps` shows may come from a backend that did not run in this call.
+ * @param {BackendContext} context - Call context
+ * @returns {Backend[]}
+ */
+const selectReaders = (context) => {
+  const kernel = context.platform === 'linux';
+  return selectBackends().filter(
+    (backend) =>
+      backend.read &&
+      Boolean(backend.kernel) === kernel &&
+      isAvailable(backend, context)
+  );
+};
+
+/**
+ * Read the name back through the first backend that can tell
+ * @param {BackendContext} context - Call context
+ * @returns {Promise<string | null>} The name, or null if none could
+ */
+export const readBackends = async (context) => {
+  for (const backend of selectReaders(context)) {
+    try {
+      const name = await backend.read(context);
+      if (typeof name === 'string') {
+        return name;
+      }
+    } catch {
+      // Try the next backend
+    }
+  }
+  return null;
+};
+
+/**
+ * Synchronous version of readBackends; backends that return a promise are
+ * skipped
+ * @param {BackendContext} context - Call context
+ * @returns {string | null} The name, or null if none could
+ */
+export const readBackendsSync = (context) => {
+  for (const backend of selectReaders(context)) {
+    try {
+      const name = backend.read(context);
+      if (typeof name === 'string') {
+        return name;
+      }
+      if (isThenable(name)) {
+        name.then(null, () => {});
+      }
+    } catch {
+      // Try the next backend
+    }
+  }
+  return null;
+};
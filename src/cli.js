@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview set-process-name command line interface
+ *
+ * Usage:
+ *   set-process-name --name <name> [--] <command> [args...]
+ *   set-process-name doctor [--json]
+ *
+ * Runs a command under the given name, passing through stdio, signals and
+ * the exit code; `doctor` explains whether and how naming works here.
+ */
+
+import { spawnNamed } from './spawn.js';
+
+const USAGE = `Usage: set-process-name --name <name> [--] <command> [args...]
+       set-process-name doctor [--json]
+
+Run a command under the given process name, or with doctor, check how
+process naming works on this host.
+
+Options:
+  -n, --name <name>  Process name to run the command under
+      --json         Print the doctor report as JSON
+  -h, --help         Show this help`;
+
+// Signals passed on to the child
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT', 'SIGUSR2'];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{help: boolean, name: string | undefined, command: string[]}}
+ */
+const parseArgs = (argv) => {
+  const parsed = { help: false, name: undefined, command: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      parsed.command = argv.slice(i + 1);
+      break;
+    }
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+    } else if (arg === '-n' || arg === '--name') {
+      parsed.name = argv[++i];
+    } else if (arg.startsWith('--name=')) {
+      parsed.name = arg.slice('--name='.length);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      parsed.command = argv.slice(i);
+      break;
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Run a command under a name and mirror its exit
+ * @param {string} name - The desired process name
+ * @param {string[]} commandLine - Command and its arguments
+ */
+const run = (name, [command, ...commandArgs]) => {
+  const child = spawnNamed(command, commandArgs, { name, stdio: 'inherit' });
+
+  const forward = (signal) => child.kill(signal);
+  for (const signal of FORWARDED_SIGNALS) {
+    process.on(signal, forward);
+  }
+
+  child.on('error', (error) => {
+    console.error(`set-process-name: ${command}: ${error.message}`);
+    // Same exit codes as a shell for commands it cannot find or run
+    process.exit(error.code === 'ENOENT' ? 127 : 126);
+  });
+
+  child.on('exit', (code, signal) => {
+    for (const forwardedSignal of FORWARDED_SIGNALS) {
+      process.off(forwardedSignal, forward);
+    }
+    if (signal) {
+      // Die from the same signal, so our parent sees what the child did
+      process.kill(process.pid, signal);
+      return;
+    }
+    process.exit(code ?? 1);
+  });
+};
+
+/**
+ * Print the doctor report; exit 1 if the trial could not set or restore
+ * the name
+ * @param {string[]} argv - Arguments after `doctor`
+ */
+const doctor = async (argv) => {
+  const unknown = argv.find((arg) => arg !== '--json');
+  if (unknown !== undefined) {
+    console.error(`set-process-name: Unknown option: ${unknown}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  // Loaded here so running a command does not load the whole library
+  const { formatDoctorReport, runDoctor } = await import('./doctor.js');
+  const report = await runDoctor();
+  console.log(
+    argv.includes('--json')
+      ? JSON.stringify(report, null, 2)
+      : formatDoctorReport(report)
+  );
+  const { set, restore } = report.trial;
+  process.exitCode = set.success && restore.success ? 0 : 1;
+};
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the executable and script
+ */
+const main = async (argv) => {
+  if (argv[0] === 'doctor') {
+    await doctor(argv.slice(1));
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`set-process-name: ${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!parsed.name || parsed.command.length === 0) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  run(parsed.name, parsed.command);
+};
+
+await main(process.argv.slice(2));
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Diagnostics behind `set-process-name doctor`
+ *
+ * Collects everything that decides whether naming works on a host into one
+ * plain-JSON report, and formats it for people.
+ */
+
+import { readFileSync } from 'node:fs';
+import { URL } from 'node:url';
+
+import {
+  getCapabilities,
+  getProcessName,
+  probeCapabilities,
+  restoreProcessName,
+  setProcessName,
+} from './index.js';
+import { getLibcFromEnv, LIBC_ENV_VAR } from './native.js';
+
+/** Name set, then restored, by the trial */
+export const TRIAL_NAME = 'spn-doctor';
+
+/**
+ * Read this package's version
+ * @returns {string | null}
+ */
+const getPackageVersion = () => {
+  try {
+    const url = new URL('../package.json', import.meta.url);
+    return JSON.parse(readFileSync(url, 'utf8')).version ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the version of the running runtime
+ * @param {string} runtime - Detected runtime
+ * @returns {string | null}
+ */
+const getRuntimeVersion = (runtime) => {
+  if (runtime === 'deno') {
+    return Deno.version.deno;
+  }
+  if (runtime === 'bun') {
+    return Bun.version;
+  }
+  return typeof process === 'undefined'
+    ? null
+    : (process.versions?.node ?? null);
+};
+
+/**
+ * Read every visible name, skipping /proc where reading it would make Deno
+ * prompt
+ * @param {boolean} canReadProc - Whether /proc may be read
+ * @returns {{title: string | null, comm: string | null, cmdline: string | null, argv0: string | null}}
+ */
+const readNames = (canReadProc) => {
+  const names = getProcessName({ source: 'all' });
+  return canReadProc ? names : { ...names, comm: null, cmdline: null };
+};
+
+/**
+ * Keep the JSON-safe part of a SetProcessNameResult: `cause` holds error
+ * objects, which serialize to `{}`
+ * @param {object} result - The result
+ * @returns {{success: boolean, backends: Record<string, boolean | null>, errors: {backend: string, code: string, message: string, errno?: number}[], truncated: boolean, effectiveName: string}}
+ */
+const summarizeResult = ({
+  success,
+  backends,
+  errors,
+  truncated,
+  effectiveName,
+}) => ({
+  success,
+  backends,
+  errors: errors.map(({ backend, code, message, errno }) => ({
+    backend,
+    code,
+    message,
+    ...(errno === undefined ? {} : { errno }),
+  })),
+  truncated,
+  effectiveName,
+});
+
+/**
+ * Set a name, read back what is visible, then restore the original name
+ * @param {boolean} canReadProc - Whether /proc may be read
+ * @returns {Promise<{name: string, set: object, visible: object, restore: object, restored: object}>}
+ */
+const runTrial = async (canReadProc) => {
+  const set = await setProcessName(TRIAL_NAME);
+  const visible = readNames(canReadProc);
+  const restore = await restoreProcessName();
+  return {
+    name: TRIAL_NAME,
+    set: summarizeResult(set),
+    visible,
+    restore: summarizeResult(restore),
+    restored: readNames(canReadProc),
+  };
+};
+
+/**
+ * Diagnose process naming on this host: runtime and platform, libc, Deno
+ * permissions, which mechanisms work (writing back the values already in
+ * place), how long a title the command line takes, the current names, and a
+ * trial that sets a name and restores the original one.
+ *
+ * @param {{libcPath?: string}} [options]
+ * - `libcPath`: C library to probe prctl through (Bun and Deno on Linux)
+ * @returns {Promise<object>} The report; plain JSON
+ */
+export const runDoctor = async ({ libcPath } = {}) => {
+  const capabilities = getCapabilities();
+  const canReadProc = !capabilities.missingPermissions.some(
+    ({ name }) => name === 'read'
+  );
+  const current = readNames(canReadProc);
+  const { runtime, platform, ...mechanisms } = await probeCapabilities({
+    libcPath,
+  });
+
+  return {
+    version: getPackageVersion(),
+    runtime,
+    runtimeVersion: getRuntimeVersion(runtime),
+    platform,
+    arch: typeof process === 'undefined' ? null : process.arch,
+    libc: {
+      path: libcPath ?? capabilities.libc,
+      // Without --allow-env, Deno reports it as unset rather than prompting
+      fromEnv: getLibcFromEnv(),
+    },
+    permissions: {
+      required: capabilities.requiredPermissions,
+      missing: capabilities.missingPermissions,
+    },
+    mechanisms,
+    titleCapacity: capabilities.cmdlineMaxLength,
+    current,
+    trial: await runTrial(canReadProc),
+  };
+};
+
+/**
+ * Format a name for the report
+ * @param {string | null} name - The name
+ * @returns {string}
+ */
+const formatName = (name) => (name === null ? '-' : `'${name}'`);
+
+/**
+ * Format the names from every source as report lines
+ * @param {object} names - Names by source
+ * @returns {string[]}
+ */
+const formatNames = (names) =>
+  Object.entries(names).map(
+    ([source, name]) => `  ${source.padEnd(12)} ${formatName(name)}`
+  );
+
+/**
+ * Format a trial step as a report line
+ * @param {string} label - The step
+ * @param {object} result - Its summarized result
+ * @returns {string[]}
+ */
+const formatStep = (label, { success, errors }) => [
+  `  ${label.padEnd(12)} ${success ? 'ok' : 'failed'}`,
+  ...errors.map(
+    ({ backend, code, message }) => `    ${backend}: ${code}: ${message}`
+  ),
+];
+
+/**
+ * Describe the state of Deno permissions
+ * @param {{required: object[], missing: {flag: string}[]}} permissions
+ * @returns {string}
+ */
+const formatPermissions = ({ required, missing }) => {
+  if (required.length === 0) {
+    return 'none needed';
+  }
+  if (missing.length === 0) {
+    return 'all granted';
+  }
+  // Deno 2 needs --allow-all for both reading and writing /proc/self
+  const flags = new Set(missing.map(({ flag }) => flag));
+  return `missing ${[...flags].join(' ')}`;
+};
+
+/**
+ * Format a report from runDoctor for people
+ * @param {object} report - The report
+ * @returns {string}
+ */
+export const formatDoctorReport = (report) => {
+  const { libc, mechanisms, trial } = report;
+  const lines = [
+    ['set-process-name', report.version, 'doctor'].filter(Boolean).join(' '),
+    '',
+    'Environment',
+    `  runtime      ${[report.runtime, report.runtimeVersion].filter(Boolean).join(' ')}`,
+    `  platform     ${report.platform} (${report.arch ?? 'unknown'})`,
+    `  libc         ${libc.path ?? '-'}${libc.fromEnv ? ` (from ${LIBC_ENV_VAR})` : ''}`,
+    `  permissions  ${formatPermissions(report.permissions)}`,
+    `  capacity     ${report.titleCapacity === null ? '-' : `${report.titleCapacity} bytes of command line`}`,
+    '',
+    'Mechanisms',
+    ...Object.entries(mechanisms).map(
+      ([id, { available, code, reason }]) =>
+        `  ${id.padEnd(12)} ${available ? 'ok' : `unavailable (${code}): ${reason}`}`
+    ),
+    '',
+    'Current names',
+    ...formatNames(report.current),
+    '',
+    `Trial: set ${formatName(trial.name)}, then restore`,
+    ...formatStep('set', trial.set),
+    ...formatNames(trial.visible),
+    ...formatStep('restore', trial.restore),
+  ];
+  return lines.join('\n');
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Errors with stable codes, reported in
+ * `SetProcessNameResult.errors`
+ */
+
+// Linux errno values prctl and the /proc writes can fail with
+const ERRNO_NAMES = {
+  1: 'EPERM',
+  2: 'ENOENT',
+  13: 'EACCES',
+  14: 'EFAULT',
+  22: 'EINVAL',
+  30: 'EROFS',
+};
+
+/**
+ * Get the symbolic name of a Linux errno value
+ * @param {number} errno - The errno value
+ * @returns {string | null} e.g. 'EPERM', or null if unknown
+ */
+export const getErrnoName = (errno) => ERRNO_NAMES[errno] ?? null;
+
+/**
+ * Error with a stable `code` telling why a naming method failed, e.g.
+ * `LIBC_NOT_FOUND`, `FFI_PERMISSION_DENIED`, `PRCTL_EPERM`, `TITLE_READONLY`
+ */
+export class ProcessNameError extends Error {
+  /**
+   * @param {string} code - Stable error code
+   * @param {string} message - Human-readable description
+   * @param {{cause?: unknown, errno?: number}} [details] - The underlying
+   * error, and the errno value for failed FFI calls
+   */
+  constructor(code, message, { cause, errno } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'ProcessNameError';
+    this.code = code;
+    if (errno !== undefined) {
+      this.errno = errno;
+    }
+  }
+}
+
+/**
+ * Error for a name that breaks the character policy: `EMPTY_NAME` or
+ * `CONTROL_CHARACTER`. A TypeError, like every other invalid argument.
+ */
+export class InvalidProcessNameError extends TypeError {
+  /**
+   * @param {'EMPTY_NAME' | 'CONTROL_CHARACTER'} code - What is wrong
+   * @param {string} message - Human-readable description
+   * @param {string} processName - The rejected name
+   */
+  constructor(code, message, processName) {
+    super(message);
+    this.name = 'InvalidProcessNameError';
+    this.code = code;
+    this.processName = processName;
+  }
+}
+
+/**
+ * @typedef {Object} ProcessNameFailure
+ * @property {string} backend - Id of the backend that failed
+ * @property {string} code - Stable error code, e.g. 'PRCTL_EPERM'
+ * @property {string} message - Human-readable description
+ * @property {unknown} cause - The underlying error, or null
+ * @property {number} [errno] - errno value, for failed FFI calls
+ */
+
+/**
+ * Describe why a backend failed
+ * @param {string} backend - Backend id
+ * @param {unknown} error - What the backend threw, or null if it returned
+ * false without saying why
+ * @returns {ProcessNameFailure}
+ */
+export const toFailure = (backend, error) => {
+  if (error === null) {
+    return {
+      backend,
+      code: 'BACKEND_FAILED',
+      message: `The ${backend} backend could not set the name`,
+      cause: null,
+    };
+  }
+  const failure = {
+    backend,
+    code: typeof error?.code === 'string' ? error.code : 'BACKEND_FAILED',
+    message: error?.message ?? String(error),
+    cause: error instanceof ProcessNameError ? (error.cause ?? null) : error,
+  };
+  if (typeof error?.errno === 'number') {
+    failure.errno = error.errno;
+  }
+  return failure;
+};
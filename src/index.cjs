@@ -0,0 +1,13 @@
+/**
+ * @fileoverview CommonJS entry point
+ *
+ * Loads the ES module with require(esm) (Node.js 20.19+ and 22.12+, Bun)
+ * instead of shipping a second, compiled copy of the library. require() and
+ * import therefore return the same module instance, so state such as the
+ * original-name snapshot and the cached FFI binding exists once per process
+ * however the library is loaded.
+ */
+
+'use strict';
+
+module.exports = require('./index.js');
@@ -0,0 +1,1294 @@
+/**
+ * Cross-platform, multi-runtime process name setter
+ *
+ * Sets the process name visible in system monitoring tools (top, ps, htop, etc.)
+ * Supports: Node.js, Bun, Deno
+ * Platforms: Linux, macOS, Windows
+ */
+
+import type {
+  ChildProcess,
+  ForkOptions,
+  SpawnOptions,
+} from 'node:child_process';
+import type { Worker as ClusterWorker } from 'node:cluster';
+
+/** Supported JavaScript runtimes */
+export type Runtime = 'node' | 'bun' | 'deno' | 'unknown';
+
+/** Supported operating system platforms */
+export type Platform = 'linux' | 'darwin' | 'win32' | 'unknown';
+
+/**
+ * Stable codes for why a naming backend failed. Custom backends may report
+ * their own codes.
+ * - TITLE_READONLY: process.title cannot be assigned or did not take the name
+ * - TITLE_TRUNCATED: process.title only took the start of the name
+ * - CMDLINE_UNAVAILABLE: the command line could not be located in /proc
+ * - CMDLINE_WRITE_FAILED: /proc/self/mem could not be written
+ * - FFI_UNAVAILABLE: bun:ffi could not be loaded
+ * - FFI_PERMISSION_DENIED: Deno was run without --allow-ffi
+ * - LIBC_NOT_FOUND: no libc could be opened (see the libcPath option)
+ * - PRCTL_EPERM, PRCTL_EINVAL, PRCTL_EFAULT, ...: prctl failed with that errno
+ * - PRCTL_FAILED: prctl failed and errno could not be read
+ * - COMM_WRITE_FAILED: /proc/self/comm could not be written
+ * - BACKEND_FAILED: the backend failed without saying why
+ */
+export type ProcessNameErrorCode =
+  | 'TITLE_READONLY'
+  | 'TITLE_TRUNCATED'
+  | 'CMDLINE_UNAVAILABLE'
+  | 'CMDLINE_WRITE_FAILED'
+  | 'FFI_UNAVAILABLE'
+  | 'FFI_PERMISSION_DENIED'
+  | 'LIBC_NOT_FOUND'
+  | `PRCTL_E${string}`
+  | 'PRCTL_FAILED'
+  | 'COMM_WRITE_FAILED'
+  | 'COMM_UNAVAILABLE'
+  | 'PROC_PERMISSION_DENIED'
+  | 'UNSUPPORTED_PLATFORM'
+  | 'UNSUPPORTED_RUNTIME'
+  | 'TITLE_LOCKED'
+  | 'LOCK_FAILED'
+  | InvalidProcessNameCode
+  | 'BACKEND_FAILED'
+  | (string & {});
+
+/** Why a naming backend failed */
+export interface ProcessNameFailure {
+  /** Id of the backend that failed */
+  backend: string;
+  /** Stable error code */
+  code: ProcessNameErrorCode;
+  /** Human-readable description */
+  message: string;
+  /** The underlying error, or null */
+  cause: unknown;
+  /** errno value, for failed FFI calls where it could be read */
+  errno?: number;
+}
+
+/**
+ * Error with a stable code telling why a naming method failed. Custom
+ * backends can throw it (or any error with a string `code`) to report a code.
+ */
+export declare class ProcessNameError extends Error {
+  constructor(
+    code: ProcessNameErrorCode,
+    message: string,
+    details?: { cause?: unknown; errno?: number }
+  );
+  /** Stable error code */
+  code: ProcessNameErrorCode;
+  /** errno value, for failed FFI calls */
+  errno?: number;
+}
+
+/** What is wrong with a name that breaks the character policy */
+export type InvalidProcessNameCode = 'EMPTY_NAME' | 'CONTROL_CHARACTER';
+
+/**
+ * Error for a name that breaks the character policy (see
+ * validateProcessName). A TypeError, like every other invalid argument.
+ */
+export declare class InvalidProcessNameError extends TypeError {
+  constructor(
+    code: InvalidProcessNameCode,
+    message: string,
+    processName: string
+  );
+  /** What is wrong with the name */
+  code: InvalidProcessNameCode;
+  /** The rejected name */
+  processName: string;
+}
+
+/** How a name that is too long is shortened (see fitProcessName) */
+export type FitStrategy =
+  | 'truncate-end'
+  | 'truncate-start'
+  | 'ellipsis-middle'
+  | 'keep-suffix'
+  | 'abbreviate';
+
+/** Options for fitProcessName */
+export interface FitProcessNameOptions {
+  /** The strategy (default: 'truncate-end') */
+  fit?: FitStrategy;
+  /** Byte budget (default: 15, the Linux kernel limit) */
+  maxBytes?: number;
+}
+
+/** What setProcessName does with a name that breaks the character policy */
+export type OnInvalidProcessName = 'throw' | 'sanitize' | 'ignore';
+
+/** Context a naming backend is called with */
+export interface BackendContext {
+  /** The requested process name */
+  name: string;
+  /** The name for the 15-byte kernel name (already truncated, or the `comm` option) */
+  kernelName: string;
+  /** The requested mode */
+  mode: 'default' | 'cmdline';
+  /** Explicit path to libc, if given */
+  libcPath: string | undefined;
+  /** How names too long for a length-limited target are shortened */
+  fit: FitStrategy;
+  /** The detected JavaScript runtime */
+  runtime: Runtime;
+  /** The detected operating system platform */
+  platform: Platform;
+  /**
+   * Whether the caller is synchronous (setProcessNameSync); a promise
+   * returned by a backend is then not waited for
+   */
+  sync: boolean;
+}
+
+/** A way of renaming the process, registered with registerBackend */
+export interface Backend {
+  /** Unique id, the key in SetProcessNameResult.backends */
+  id: string;
+  /** Whether the backend can run here; unavailable backends are left out of the results */
+  isAvailable(context: BackendContext): boolean;
+  /**
+   * Rename the process: true if it worked, false if it failed, null if
+   * there was nothing to do. Throwing counts as failure; an error with a
+   * string `code` (such as a ProcessNameError) reports that code.
+   */
+  apply(
+    name: string,
+    context: BackendContext
+  ): boolean | null | Promise<boolean | null>;
+  /** Read back the name this backend sets, used by `verify` */
+  read?(context: BackendContext): string | null | Promise<string | null>;
+  /**
+   * Whether the backend sets the kernel name. On Linux `verify` reads
+   * through these backends, elsewhere through the others.
+   */
+  kernel?: boolean;
+}
+
+/** Result of setting the process name */
+export interface SetProcessNameResult {
+  /** Whether the process name was successfully set by any backend */
+  success: boolean;
+  /**
+   * Outcome of every available backend by id ('title', 'cmdline', 'prctl',
+   * 'comm' and registered ones): true if it worked, false if it failed,
+   * null if it did not need to or could not try
+   */
+  backends: Record<string, boolean | null>;
+  /**
+   * Why the failed backends failed, in the order they ran, or why the name
+   * was rejected (backend 'validation')
+   */
+  errors: ProcessNameFailure[];
+  /** Whether the name was changed to follow the character policy */
+  sanitized: boolean;
+  /** Whether process.title was successfully set (null if not attempted) */
+  processTitle: boolean | null;
+  /** Whether prctl was successfully called on Linux (null if not attempted) */
+  prctl: boolean | null;
+  /**
+   * Whether the full command line was rewritten
+   * (null if not attempted: only with `mode: 'cmdline'` on Linux)
+   */
+  cmdline: boolean | null;
+  /** Whether the name had to be truncated to fit the kernel limit (Linux only) */
+  truncated: boolean;
+  /**
+   * The name handed to the kernel: on Linux at most 15 bytes of UTF-8,
+   * cut without splitting a character; elsewhere the requested name
+   */
+  effectiveName: string;
+  /**
+   * The name in effect before this call (process.title, or the name last
+   * set through this library where process.title cannot be assigned).
+   * Pass it to setProcessName to undo the call.
+   */
+  previous: string | null;
+  /**
+   * The name that actually took effect, read back after all methods have run:
+   * the kernel name on Linux, process.title elsewhere
+   * (null if `verify` was not requested or the name could not be read)
+   */
+  applied: string | null;
+  /**
+   * Whether the name read back matches the requested one (null if `verify`
+   * was not requested or the name could not be read)
+   */
+  verified: boolean | null;
+  /** The detected JavaScript runtime */
+  runtime: Runtime;
+  /** The detected operating system platform */
+  platform: Platform;
+}
+
+/** Result of setting the calling thread's name */
+export interface SetThreadNameResult {
+  /** Whether the thread name was successfully set by any method */
+  success: boolean;
+  /** Whether /proc/thread-self/comm was written (null if not attempted) */
+  comm: boolean | null;
+  /** Whether prctl was successfully called via FFI (null if not attempted) */
+  prctl: boolean | null;
+  /** Kernel thread id of the calling thread (null if unavailable) */
+  threadId: number | null;
+  /** Whether the name had to be truncated to fit the kernel limit (Linux only) */
+  truncated: boolean;
+  /** The name handed to the kernel (at most 15 bytes of UTF-8 on Linux) */
+  effectiveName: string;
+  /** The detected JavaScript runtime */
+  runtime: Runtime;
+  /** The detected operating system platform */
+  platform: Platform;
+}
+
+/**
+ * Handle returned by useProcessName. Restoring is done once; later calls
+ * return null. Supports `using`/`await using` declarations (requires
+ * TypeScript 5.2+ with the `esnext.disposable` lib).
+ */
+export interface ProcessNameScope {
+  /** Result of setting the scoped name */
+  result: SetProcessNameResult;
+  /** Restore the name that was in effect before */
+  restore(): Promise<SetProcessNameResult | null>;
+  /** Synchronous version of restore (may not apply prctl on Bun) */
+  restoreSync(): SetProcessNameResult | null;
+  /** Same as restoreSync, for `using` declarations */
+  [Symbol.dispose](): void;
+  /** Same as restore, for `await using` declarations */
+  [Symbol.asyncDispose](): Promise<void>;
+}
+
+/** Process name as other processes see it */
+export interface VisibleProcessName {
+  /** Value of process.title (null where it cannot be assigned) */
+  title: string | null;
+  /** Kernel name from /proc/self/comm (Linux only, null elsewhere) */
+  comm: string | null;
+}
+
+/** A change of the process name made behind the library's back */
+export interface ProcessNameDrift {
+  /** The name last set through this library */
+  expected: VisibleProcessName;
+  /** The name found instead */
+  actual: VisibleProcessName;
+  /** With `reassert: true`, whether the name could be put back; otherwise null */
+  reasserted: boolean | null;
+}
+
+/** Options for watchProcessName */
+export interface WatchProcessNameOptions {
+  /** Milliseconds between checks (default: 1000) */
+  interval?: number;
+  /** Set the name again, with the same options, when it drifts */
+  reassert?: boolean;
+}
+
+/** Handle returned by watchProcessName */
+export interface ProcessNameWatcher {
+  /** Check right away; returns the drift it reported, if any */
+  check(): ProcessNameDrift | null;
+  /** Stop watching */
+  stop(): void;
+  /** Same as stop, for `using` declarations */
+  [Symbol.dispose](): void;
+}
+
+/** What lockProcessName does with an assignment by other code */
+export type ProcessNameLockMode = 'reject' | 'ignore' | 'warn';
+
+/** Options for lockProcessName */
+export interface LockProcessNameOptions {
+  /**
+   * 'reject' throws a ProcessNameError with code TITLE_LOCKED, 'ignore'
+   * drops the assignment silently, 'warn' (default) drops it and emits a
+   * process warning
+   */
+  mode?: ProcessNameLockMode;
+}
+
+/** An assignment to process.title blocked by the lock */
+export interface ProcessNameLockAttempt {
+  /** The value that was assigned */
+  value: string;
+  /** Stack trace of the code that assigned it */
+  stack: string;
+  /** When it was assigned (milliseconds since the epoch) */
+  timestamp: number;
+}
+
+/** Handle returned by lockProcessName */
+export interface ProcessNameLock {
+  /** What blocked assignments do */
+  mode: ProcessNameLockMode;
+  /** Blocked assignments, oldest first (the last 100 are kept) */
+  attempts: ProcessNameLockAttempt[];
+  /** Same as unlockProcessName */
+  unlock(): boolean;
+}
+
+/** How a child started by spawnNamed/forkNamed was named */
+export interface ChildProcessName {
+  /** The name given to the child */
+  name: string;
+  /**
+   * How the name is applied:
+   * - 'preload': this library is preloaded in the Node.js/Bun/Deno child
+   *   and sets the process title and kernel name from inside
+   * - 'argv0': the name is passed as argv[0], which `ps -ef` shows; the
+   *   kernel name stays the executable's
+   */
+  method: 'preload' | 'argv0';
+}
+
+/** Child process started by spawnNamed/forkNamed */
+export interface NamedChildProcess extends ChildProcess {
+  /** Which name was applied and how */
+  processName: ChildProcessName;
+}
+
+/** Result of truncating a process name */
+export interface TruncateProcessNameResult {
+  /** The truncated name */
+  name: string;
+  /** Whether anything was cut off */
+  truncated: boolean;
+}
+
+/** Options for setProcessName and setProcessNameSync */
+export interface SetProcessNameOptions {
+  /**
+   * Read the name back after all methods have run and report it in
+   * `applied`/`verified`. When the name can be read back, `success`
+   * reflects whether it matches. On Linux the kernel name is compared
+   * (via /proc/self/comm or prctl PR_GET_NAME), which holds at most
+   * 15 bytes of the requested name.
+   */
+  verify?: boolean;
+  /**
+   * What to rename (default: 'default'):
+   * - 'default': process.title and the kernel process name (comm)
+   * - 'cmdline': additionally rewrite the full command line that
+   *   /proc/self/cmdline reports and `ps -ef`/`ps aux` show, like
+   *   setproctitle(3). Linux only. The title is truncated to the length of
+   *   the original command line (see Capabilities.cmdlineMaxLength), and the
+   *   original argument strings are overwritten in memory.
+   */
+  mode?: 'default' | 'cmdline';
+  /**
+   * A different, usually shorter name for the 15-byte kernel name shown by
+   * top and `ps -o comm` (Linux only). process.title still gets the full
+   * name. Defaults to the name itself.
+   */
+  comm?: string;
+  /**
+   * Path or soname of the C library Bun and Deno call prctl through (Linux
+   * only). Defaults to the SET_PROCESS_NAME_LIBC environment variable, or
+   * else a glibc or musl libc found automatically.
+   */
+  libcPath?: string;
+  /**
+   * Ids of the backends to run, in order, instead of all registered ones
+   * (see registerBackend)
+   */
+  backends?: string[];
+  /**
+   * What to do with an empty name or one with control characters (see
+   * validateProcessName):
+   * - 'sanitize' (default): replace each run of control characters with a
+   *   space and apply the result
+   * - 'throw': throw an InvalidProcessNameError
+   * - 'ignore': apply nothing and report the reason in `errors`
+   * An empty name (or one with nothing left after sanitizing) is never applied.
+   */
+  onInvalid?: OnInvalidProcessName;
+  /**
+   * How a name too long for the 15-byte kernel name or the command line is
+   * shortened (see fitProcessName). Default: 'truncate-end'.
+   */
+  fit?: FitStrategy;
+}
+
+/** Options for createProcessTitle */
+export interface ProcessTitleOptions extends Omit<
+  SetProcessNameOptions,
+  'comm'
+> {
+  /**
+   * Template for the 15-byte kernel name, e.g. 'api {state}', so the fields
+   * that matter most fit. Defaults to the full title, truncated.
+   */
+  comm?: string;
+}
+
+/** Options for setProcessStatus */
+export interface ProcessStatusOptions extends Omit<
+  SetProcessNameOptions,
+  'comm'
+> {
+  /** Base name to use instead of the name currently in effect */
+  base?: string;
+}
+
+/** A Deno permission needed by set-process-name */
+export interface PermissionRequirement {
+  /** Deno permission name */
+  name: 'ffi' | 'read' | 'write' | 'env';
+  /** Path the permission is needed for */
+  path?: string;
+  /** Environment variable the permission is needed for */
+  variable?: string;
+  /** Command line flag that grants it, e.g. '--allow-ffi' */
+  flag: string;
+  /** What needs it */
+  reason: string;
+}
+
+/** Options for nameCluster */
+export interface NameClusterOptions extends SetProcessNameOptions {
+  /** Name of the primary process */
+  primary?: string;
+  /**
+   * Name of every worker, or a function of the worker id. Workers called
+   * without it ask the primary for their name.
+   */
+  worker?: string | ((id: number, worker: ClusterWorker) => string);
+}
+
+/** Cluster naming set up by nameCluster */
+export interface ClusterNaming {
+  /** Resolves once this process is named, or with null if it has no name */
+  ready: Promise<SetProcessNameResult | null>;
+  /** Remove the cluster and IPC listeners */
+  dispose(): void;
+}
+
+/** Dynamic process title created by createProcessTitle */
+export interface ProcessTitle {
+  /**
+   * Resolves once the initial fields are applied; rejects if setProcessName
+   * throws (e.g. with `onInvalid: 'throw'`)
+   */
+  ready: Promise<SetProcessNameResult>;
+  /**
+   * Merge new field values and apply the re-rendered title. Updates are
+   * applied in order; if the rendered title does not change, nothing is set
+   * again and the result of the last change is returned. A title that could
+   * not be set is tried again. Rejects if setProcessName throws.
+   */
+  update(fields?: Record<string, unknown>): Promise<SetProcessNameResult>;
+  /** Current field values */
+  readonly fields: Record<string, unknown>;
+  /** Current full title text */
+  readonly text: string;
+  /** Current kernel name text (before truncation to 15 bytes) */
+  readonly comm: string;
+}
+
+/** Where getProcessName reads the name from */
+export type ProcessNameSource = 'title' | 'comm' | 'cmdline' | 'argv0';
+
+/** Options for getProcessName */
+export interface GetProcessNameOptions {
+  /**
+   * Which name to read (default: 'title'):
+   * - 'title': process.title
+   * - 'comm': /proc/self/comm, the name shown by top and `ps -o comm` (Linux only)
+   * - 'cmdline': /proc/self/cmdline joined with spaces, as `ps -ef` shows it (Linux only)
+   * - 'argv0': process.argv0
+   * - 'all': every source at once
+   */
+  source?: ProcessNameSource | 'all';
+}
+
+/** Process name as reported by every source */
+export interface ProcessNames {
+  /** Value of process.title */
+  title: string | null;
+  /** Kernel process name from /proc/self/comm (Linux only) */
+  comm: string | null;
+  /** Command line from /proc/self/cmdline (Linux only) */
+  cmdline: string | null;
+  /** Value of process.argv0 */
+  argv0: string | null;
+}
+
+/** Capabilities of the current environment */
+export interface Capabilities {
+  /** Whether process.title can be set */
+  canSetTitle: boolean;
+  /** Whether prctl can be used to set process name (Linux only) */
+  canSetPrctl: boolean;
+  /** Whether the full command line can be rewritten with `mode: 'cmdline'` (Linux only) */
+  canSetCmdline: boolean;
+  /**
+   * Maximum length in bytes of a title written with `mode: 'cmdline'`
+   * (null if the command line cannot be rewritten)
+   */
+  cmdlineMaxLength: number | null;
+  /**
+   * The C library Bun and Deno call prctl through: the one in use, or the
+   * one that would be used (Linux only, null if none was found)
+   */
+  libc: string | null;
+  /**
+   * Permissions every feature needs (Deno on Linux; empty elsewhere, where
+   * nothing is behind a permission)
+   */
+  requiredPermissions: PermissionRequirement[];
+  /** The required permissions that are not granted */
+  missingPermissions: PermissionRequirement[];
+  /** The detected JavaScript runtime */
+  runtime: Runtime;
+  /** The detected operating system platform */
+  platform: Platform;
+}
+
+/** Outcome of probing one naming mechanism */
+export interface ProbeResult {
+  /** Whether the mechanism worked */
+  available: boolean;
+  /** Why it did not, e.g. 'PRCTL_EPERM' (null if it worked) */
+  code: ProcessNameErrorCode | null;
+  /** Human-readable description of why it did not (null if it worked) */
+  reason: string | null;
+  /** errno value, for failed FFI calls where it could be read */
+  errno?: number;
+}
+
+/** Result of probeCapabilities: which mechanisms really work here */
+export interface ProbedCapabilities {
+  /** process.title, checked without assigning it */
+  title: ProbeResult;
+  /** prctl(PR_GET_NAME/PR_SET_NAME) through FFI (Bun and Deno on Linux) */
+  prctl: ProbeResult;
+  /** Writing /proc/self/comm (Linux only) */
+  comm: ProbeResult;
+  /** Rewriting the command line, as `mode: 'cmdline'` does (Linux only) */
+  cmdline: ProbeResult;
+  /** The detected JavaScript runtime */
+  runtime: Runtime;
+  /** The detected operating system platform */
+  platform: Platform;
+}
+
+/** Options for probeCapabilities */
+export interface ProbeCapabilitiesOptions {
+  /** Path or soname of the C library to probe prctl through */
+  libcPath?: string;
+}
+
+/**
+ * Close the libc that Bun and Deno call prctl through, if it is open. Every
+ * call shares one binding; it is opened again on next use. Meant for
+ * teardown, e.g. in tests that check for leaked handles.
+ *
+ * @example
+ * ```typescript
+ * import { disposeNativeBinding } from 'set-process-name';
+ *
+ * afterAll(() => disposeNativeBinding());
+ * ```
+ */
+export declare const disposeNativeBinding: () => void;
+
+/**
+ * Detect the current JavaScript runtime
+ * @returns The detected runtime: 'node', 'bun', 'deno', or 'unknown'
+ */
+export declare const detectRuntime: () => Runtime;
+
+/**
+ * Detect the current operating system platform
+ * @returns The detected platform: 'linux', 'darwin', 'win32', or 'unknown'
+ */
+export declare const detectPlatform: () => Platform;
+
+/**
+ * Set the process name visible in system monitoring tools
+ *
+ * This function sets the process name that appears in tools like:
+ * - Linux: top, ps, htop (via /proc/<pid>/comm)
+ * - macOS: Activity Monitor (via process.title)
+ * - Windows: Task Manager (cosmetic only, process.title)
+ *
+ * @param name - The desired process name
+ * @param options - Additional options
+ * @returns Promise resolving to the result of the operation
+ *
+ * @example
+ * ```typescript
+ * import { setProcessName } from 'set-process-name';
+ *
+ * const result = await setProcessName('my-app');
+ * console.log(result.success); // true if successful
+ *
+ * const { applied, verified } = await setProcessName('my-app', {
+ *   verify: true,
+ * });
+ * console.log(applied); // 'my-app' as read back from the kernel
+ * ```
+ */
+export declare const setProcessName: (
+  name: string,
+  options?: SetProcessNameOptions
+) => Promise<SetProcessNameResult>;
+
+/**
+ * Synchronous version of setProcessName
+ *
+ * Note: On Bun runtime, prctl changes are only applied once an async call
+ * has loaded the FFI. Use the async version for full functionality.
+ *
+ * @param name - The desired process name
+ * @param options - Additional options
+ * @returns The result of the operation
+ *
+ * @example
+ * ```typescript
+ * import { setProcessNameSync } from 'set-process-name';
+ *
+ * const result = setProcessNameSync('my-app');
+ * console.log(result.success); // true if successful
+ * ```
+ */
+export declare const setProcessNameSync: (
+  name: string,
+  options?: SetProcessNameOptions
+) => SetProcessNameResult;
+
+/**
+ * Truncate a name to a UTF-8 byte budget without splitting a code point
+ * or a grapheme cluster (e.g. an emoji with modifiers or a letter with accents)
+ *
+ * This is how setProcessName fits names into the 15-byte Linux kernel limit.
+ *
+ * @param name - The name to truncate
+ * @param maxBytes - Byte budget (default: 15, the Linux kernel limit)
+ * @returns The truncated name and whether anything was cut off
+ * @throws {TypeError} If name is not a string
+ *
+ * @example
+ * ```typescript
+ * import { truncateProcessName } from 'set-process-name';
+ *
+ * truncateProcessName('сервис-платежей');
+ * // { name: 'сервис-п', truncated: true }
+ * ```
+ */
+export declare const truncateProcessName: (
+  name: string,
+  maxBytes?: number
+) => TruncateProcessNameResult;
+
+/**
+ * Fit a name into a UTF-8 byte budget with a chosen strategy, without
+ * splitting a code point or a grapheme cluster. Names that fit are returned
+ * unchanged.
+ *
+ * - 'truncate-end' (default): keep the start
+ * - 'truncate-start': keep the end
+ * - 'ellipsis-middle': keep both ends around a `…`
+ * - 'keep-suffix': truncate the start but keep a trailing instance id such
+ *   as `-12`
+ * - 'abbreviate': drop inner vowels, then shorten words to their first
+ *   letter, keeping words with digits
+ *
+ * @param name - The name to fit
+ * @param options - Strategy and byte budget
+ * @returns The fitted name and whether it had to be shortened
+ * @throws {TypeError} If name is not a string or fit is unknown
+ *
+ * @example
+ * ```typescript
+ * import { fitProcessName } from 'set-process-name';
+ *
+ * fitProcessName('payments-worker-12', { fit: 'keep-suffix' });
+ * // { name: 'payments-wor-12', truncated: true }
+ * ```
+ */
+export declare const fitProcessName: (
+  name: string,
+  options?: FitProcessNameOptions
+) => TruncateProcessNameResult;
+
+/**
+ * Get the current process name
+ *
+ * By default returns process.title. Pass `source` to read the name the
+ * kernel actually reports instead, or `'all'` to read every source at once.
+ *
+ * @param options - Which source to read
+ * @returns The name from the requested source (null if unavailable),
+ * or all of them when `source` is `'all'`
+ * @throws {TypeError} If `source` is not a known source
+ *
+ * @example
+ * ```typescript
+ * import { getProcessName } from 'set-process-name';
+ *
+ * const name = getProcessName();
+ * console.log(name); // 'node' or 'bun' or custom name
+ *
+ * const { comm, cmdline } = getProcessName({ source: 'all' });
+ * console.log(comm); // what top/ps show on Linux
+ * ```
+ */
+export declare function getProcessName(options?: {
+  source?: ProcessNameSource;
+}): string | null;
+export declare function getProcessName(options: {
+  source: 'all';
+}): ProcessNames;
+export declare function getProcessName(
+  options?: GetProcessNameOptions
+): string | null | ProcessNames;
+
+/**
+ * Check that a name follows the character policy: not empty, and without
+ * control characters (U+0000-U+001F including NUL, tab and newline, U+007F,
+ * U+0080-U+009F, U+2028 and U+2029)
+ *
+ * @param name - The name to check
+ * @returns The name
+ * @throws {InvalidProcessNameError} If the name breaks the policy
+ * @throws {TypeError} If name is not a string
+ *
+ * @example
+ * ```typescript
+ * import { validateProcessName } from 'set-process-name';
+ *
+ * validateProcessName(`job: ${jobName}`); // throws if jobName has a newline
+ * ```
+ */
+export declare const validateProcessName: (name: string) => string;
+
+/**
+ * Make a name follow the character policy: every run of control characters
+ * becomes a single space, and is dropped at the start and end of the name.
+ * Valid names are returned unchanged.
+ *
+ * @param name - The name to sanitize
+ * @returns The sanitized name, possibly empty
+ * @throws {TypeError} If name is not a string
+ *
+ * @example
+ * ```typescript
+ * import { sanitizeProcessName } from 'set-process-name';
+ *
+ * sanitizeProcessName('import\n\tjob 42\n'); // 'import job 42'
+ * ```
+ */
+export declare const sanitizeProcessName: (name: string) => string;
+
+/**
+ * Get the kernel process name, the 15 bytes `ps -o comm` and top show
+ * (Linux only). Bun and Deno call prctl(PR_GET_NAME) through FFI; Node.js,
+ * worker threads and environments without FFI read /proc/self/comm.
+ *
+ * @returns Promise resolving to the kernel name, or null if unavailable
+ *
+ * @example
+ * ```typescript
+ * import { getKernelProcessName, setProcessName } from 'set-process-name';
+ *
+ * await setProcessName('payment-processor');
+ * console.log(await getKernelProcessName()); // 'payment-process'
+ * ```
+ */
+export declare const getKernelProcessName: () => Promise<string | null>;
+
+/**
+ * Synchronous version of getKernelProcessName. On Bun, prctl is only used
+ * once its FFI has been loaded by an asynchronous call.
+ *
+ * @returns The kernel name, or null if unavailable
+ */
+export declare const getKernelProcessNameSync: () => string | null;
+
+/**
+ * Get the process identity captured when this module was loaded,
+ * before anything renamed the process
+ *
+ * @returns The original name from every source, as returned by
+ * `getProcessName({ source: 'all' })`
+ *
+ * @example
+ * ```typescript
+ * import { getOriginalProcessName } from 'set-process-name';
+ *
+ * console.log(getOriginalProcessName().title); // 'node'
+ * ```
+ */
+export declare const getOriginalProcessName: () => ProcessNames;
+
+/**
+ * Restore the process name captured when this module was loaded,
+ * undoing every setProcessName call
+ *
+ * Restores process.title, process.argv0, the kernel name and, on Linux,
+ * the original command line.
+ *
+ * @param options - Same `verify` option as setProcessName
+ * @returns Promise resolving to the result of the operation
+ *
+ * @example
+ * ```typescript
+ * import { setProcessName, restoreProcessName } from 'set-process-name';
+ *
+ * await setProcessName('my-tool');
+ * // ...
+ * await restoreProcessName();
+ * // Process shows as 'node' again
+ * ```
+ */
+export declare const restoreProcessName: (
+  options?: Pick<SetProcessNameOptions, 'verify'>
+) => Promise<SetProcessNameResult>;
+
+/**
+ * Synchronous version of restoreProcessName
+ *
+ * Note: On Bun runtime, this may not restore the kernel name via prctl.
+ * Use the async version for full functionality.
+ *
+ * @param options - Same `verify` option as setProcessName
+ * @returns The result of the operation
+ */
+export declare const restoreProcessNameSync: (
+  options?: Pick<SetProcessNameOptions, 'verify'>
+) => SetProcessNameResult;
+
+/**
+ * Set a process name that lasts until the returned handle is disposed
+ *
+ * Disposing puts back the name that was in effect before: the original
+ * identity if nothing had been set yet, otherwise the previous name, set
+ * again with the options it was set with (comm, mode, fit, ...).
+ *
+ * @param name - The desired process name
+ * @param options - Same options as setProcessName; `verify` also applies
+ * when restoring
+ * @returns Promise resolving to a disposable handle
+ *
+ * @example
+ * ```typescript
+ * import { useProcessName } from 'set-process-name';
+ *
+ * {
+ *   await using scope = await useProcessName('app: migrating');
+ *   await migrate();
+ * } // previous name restored here
+ * ```
+ */
+export declare const useProcessName: (
+  name: string,
+  options?: SetProcessNameOptions
+) => Promise<ProcessNameScope>;
+
+/**
+ * Run a task under a process name, e.g. "app: migrating" during a migration
+ *
+ * The previous name is restored when the task settles, even if it throws
+ * or rejects.
+ *
+ * @param name - The process name to wear while the task runs
+ * @param fn - The task, called with the result of setting the name
+ * @param options - Same options as setProcessName
+ * @returns Promise resolving to what the task returns
+ * @throws {TypeError} If fn is not a function
+ *
+ * @example
+ * ```typescript
+ * import { withProcessName } from 'set-process-name';
+ *
+ * await withProcessName('app: migrating', async () => {
+ *   await migrate();
+ * });
+ * ```
+ */
+export declare const withProcessName: <T>(
+  name: string,
+  fn: (result: SetProcessNameResult) => T | Promise<T>,
+  options?: SetProcessNameOptions
+) => Promise<T>;
+
+/**
+ * Watch for something else renaming the process, such as a dependency
+ * assigning process.title. Every `interval` milliseconds, process.title and
+ * the kernel name (/proc/self/comm on Linux) are compared with the name last
+ * set through setProcessName; each new drift is reported once. Nothing is
+ * reported before a name is set or after restoreProcessName. The timer does
+ * not keep the process alive.
+ *
+ * @param callback - Called with every new drift
+ * @param options - Polling interval and whether to put the name back
+ * @returns Handle to check right away or stop watching
+ * @throws {TypeError} If callback is not a function or interval is not a
+ * positive number
+ *
+ * @example
+ * ```typescript
+ * import { setProcessName, watchProcessName } from 'set-process-name';
+ *
+ * await setProcessName('billing-api');
+ * watchProcessName(
+ *   ({ actual }) => console.warn(`Process renamed to ${actual.title}`),
+ *   { interval: 5000, reassert: true }
+ * );
+ * ```
+ */
+export declare const watchProcessName: (
+  callback: (drift: ProcessNameDrift) => void,
+  options?: WatchProcessNameOptions
+) => ProcessNameWatcher;
+
+/**
+ * Lock process.title against assignments by other code, such as a
+ * dependency that renames the process. Names set through this library still
+ * apply. Every blocked assignment is recorded in `attempts` with the stack
+ * trace of the code that made it. Locking again while locked changes the
+ * mode and returns the same lock.
+ *
+ * @param options - What blocked assignments do
+ * @returns The lock
+ * @throws {TypeError} If mode is unknown
+ * @throws {ProcessNameError} LOCK_FAILED if process.title cannot be
+ * replaced, or is native (Node.js) on a platform other than Linux
+ *
+ * @example
+ * ```typescript
+ * import { lockProcessName, setProcessName } from 'set-process-name';
+ *
+ * await setProcessName('billing-api');
+ * const lock = lockProcessName({ mode: 'warn' });
+ *
+ * // Later: who tried to rename the process?
+ * for (const { value, stack } of lock.attempts) {
+ *   console.log(`Blocked '${value}'\n${stack}`);
+ * }
+ * ```
+ */
+export declare const lockProcessName: (
+  options?: LockProcessNameOptions
+) => ProcessNameLock;
+
+/**
+ * Remove the lock on process.title
+ *
+ * @returns Whether a lock was in place
+ */
+export declare const unlockProcessName: () => boolean;
+
+/**
+ * Create a dynamic process title rendered from a template
+ *
+ * `{field}` placeholders are replaced with field values; `{pid}` is always
+ * available. The full text goes to process.title, truncated to what the
+ * platform allows, and the kernel name is rendered from the `comm` template.
+ * The initial fields are applied right away.
+ *
+ * @param template - Title template, e.g. 'api[{pid}] {state} conns={conns}'
+ * @param initialFields - Initial field values
+ * @param options - `comm` template plus options passed to setProcessName
+ * @returns The dynamic title
+ * @throws {TypeError} If a template is not a string
+ *
+ * @example
+ * ```typescript
+ * import { createProcessTitle } from 'set-process-name';
+ *
+ * const title = createProcessTitle(
+ *   'api[{pid}] {state} conns={conns}',
+ *   { state: 'idle', conns: 0 },
+ *   { comm: 'api {state}' }
+ * );
+ *
+ * await title.update({ state: 'busy', conns: 12 });
+ * // ps -ef: api[4242] busy conns=12    top: api busy
+ * ```
+ */
+export declare const createProcessTitle: (
+  template: string,
+  initialFields?: Record<string, unknown>,
+  options?: ProcessTitleOptions
+) => ProcessTitle;
+
+/**
+ * Show a status next to a fixed base identity, PostgreSQL style:
+ * `myapp: idle`, `myapp: handling request`
+ *
+ * The base name stays in the kernel name (so `ps -o comm` and
+ * `pgrep -x myapp` keep working), while the status only goes where there
+ * is room: process.title, and the full command line with `mode: 'cmdline'`.
+ * The base is the name in effect before the first status, or `options.base`.
+ *
+ * @param status - The status to show
+ * @param options - `base` name plus options passed to setProcessName
+ * @returns Promise resolving to the result of the operation
+ * @throws {TypeError} If status or base is not a string
+ *
+ * @example
+ * ```typescript
+ * import { setProcessName, setProcessStatus } from 'set-process-name';
+ *
+ * await setProcessName('myapp');
+ * await setProcessStatus('idle'); // ps -ef: 'myapp: idle', top: 'myapp'
+ * await setProcessStatus('handling request');
+ * ```
+ */
+export declare const setProcessStatus: (
+  status: string,
+  options?: ProcessStatusOptions
+) => Promise<SetProcessNameResult>;
+
+/**
+ * Remove the status set by setProcessStatus, leaving only the base name
+ *
+ * @param options - Same options as setProcessName; those not given are the
+ * ones the status was set with
+ * @returns Promise resolving to the result, or null if no status was set
+ *
+ * @example
+ * ```typescript
+ * import { clearProcessStatus } from 'set-process-name';
+ *
+ * await clearProcessStatus(); // ps -ef: 'myapp'
+ * ```
+ */
+export declare const clearProcessStatus: (
+  options?: Omit<SetProcessNameOptions, 'comm'>
+) => Promise<SetProcessNameResult | null>;
+
+/**
+ * child_process.spawn that starts the child under a chosen name from the
+ * moment it starts
+ *
+ * Node.js, Bun and Deno children (detected from the command) preload this
+ * library, which applies the name inside the child. Other programs get the
+ * name as argv[0].
+ *
+ * @param command - Command to run
+ * @param args - Command arguments
+ * @param options - `name` plus child_process.spawn options
+ * @returns The child, with `processName` telling which name was applied and how
+ * @throws {TypeError} If command or name is not a string
+ *
+ * @example
+ * ```typescript
+ * import { spawnNamed } from 'set-process-name';
+ *
+ * const child = spawnNamed('node', ['worker.js'], { name: 'img-worker' });
+ * console.log(child.processName); // { name: 'img-worker', method: 'preload' }
+ * ```
+ */
+export declare function spawnNamed(
+  command: string,
+  args: readonly string[],
+  options: SpawnOptions & { name: string }
+): NamedChildProcess;
+export declare function spawnNamed(
+  command: string,
+  options: SpawnOptions & { name: string }
+): NamedChildProcess;
+
+/**
+ * child_process.fork that starts the child under a chosen name, by
+ * preloading this library in the child
+ *
+ * @param modulePath - Module to run in the child
+ * @param args - Module arguments
+ * @param options - `name` plus child_process.fork options
+ * @returns The child, with `processName` telling which name was applied and how
+ * @throws {TypeError} If name is not a string
+ *
+ * @example
+ * ```typescript
+ * import { forkNamed } from 'set-process-name';
+ *
+ * const child = forkNamed('./worker.js', [], { name: 'queue-worker' });
+ * ```
+ */
+export declare function forkNamed(
+  modulePath: string,
+  args: readonly string[],
+  options: ForkOptions & { name: string }
+): NamedChildProcess;
+export declare function forkNamed(
+  modulePath: string,
+  options: ForkOptions & { name: string }
+): NamedChildProcess;
+
+/**
+ * Name the primary and the workers of a node:cluster application
+ *
+ * Call it in both the primary and the workers. The primary names itself and
+ * works out each worker's name when it is forked, including replacement
+ * workers. Workers apply their name right away, or ask the primary for it
+ * when `worker` is not given.
+ *
+ * @param options - `primary` and `worker` names plus setProcessName options
+ * @returns `ready` promise and `dispose()` to remove the listeners
+ * @throws {TypeError} If primary is not a string or worker is not a string or function
+ *
+ * @example
+ * ```typescript
+ * import { nameCluster } from 'set-process-name';
+ *
+ * nameCluster({ primary: 'api-master', worker: (id) => `api-w${id}` });
+ * ```
+ */
+export declare const nameCluster: (
+  options?: NameClusterOptions
+) => ClusterNaming;
+
+/**
+ * Add a naming backend that setProcessName runs along with the built-in
+ * ones ('title', 'cmdline', 'prctl', 'comm'), or replace the one registered
+ * under the same id, keeping its place in the order
+ *
+ * @param backend - The backend
+ * @returns Function that unregisters the backend
+ * @throws {TypeError} If the backend is malformed
+ *
+ * @example
+ * ```typescript
+ * import { registerBackend } from 'set-process-name';
+ *
+ * registerBackend({
+ *   id: 'systemd-status',
+ *   isAvailable: () => Boolean(process.env.NOTIFY_SOCKET),
+ *   apply: (name) => notify(`STATUS=${name}`),
+ * });
+ * ```
+ */
+export declare const registerBackend: (backend: Backend) => () => boolean;
+
+/**
+ * Remove a naming backend
+ *
+ * @param id - Backend id
+ * @returns Whether a backend was registered under that id
+ */
+export declare const unregisterBackend: (id: string) => boolean;
+
+/**
+ * Set the order backends run in. Listed ids run first, in the given order;
+ * the others run after them in registration order. Pass null to go back to
+ * registration order.
+ *
+ * @param ids - Backend ids
+ * @throws {TypeError} If ids is not an array of strings or null
+ */
+export declare const setBackendOrder: (ids: string[] | null) => void;
+
+/**
+ * Get the ids of the registered backends, in the order they run
+ */
+export declare const getBackendOrder: () => string[];
+
+/**
+ * Set the name of the calling OS thread, as shown by `top -H` and `htop`
+ * with thread display enabled
+ *
+ * Call it from inside a worker (Node.js worker_threads, Bun/Deno Workers)
+ * to label that worker's thread. Linux only: writes /proc/thread-self/comm,
+ * falling back to prctl(PR_SET_NAME) via FFI on Bun and Deno.
+ *
+ * @param name - The desired thread name (shortened to 15 bytes)
+ * @param options - `fit`: how a name that is too long is shortened
+ * @returns Promise resolving to the result of the operation
+ * @throws {TypeError} If name is not a string or fit is unknown
+ *
+ * @example
+ * ```typescript
+ * import { isMainThread } from 'node:worker_threads';
+ * import { setThreadName } from 'set-process-name';
+ *
+ * if (!isMainThread) {
+ *   await setThreadName('img-resize');
+ * }
+ * ```
+ */
+export declare const setThreadName: (
+  name: string,
+  options?: { fit?: FitStrategy }
+) => Promise<SetThreadNameResult>;
+
+/**
+ * Get the name of the calling OS thread (Linux only)
+ *
+ * @returns The thread name, or null if unavailable
+ *
+ * @example
+ * ```typescript
+ * import { getThreadName } from 'set-process-name';
+ *
+ * console.log(getThreadName()); // 'img-resize' inside a named worker
+ * ```
+ */
+export declare const getThreadName: () => string | null;
+
+/**
+ * Check if the process name can be set on the current platform/runtime
+ *
+ * @returns Object describing the capabilities of the current environment
+ *
+ * @example
+ * ```typescript
+ * import { getCapabilities } from 'set-process-name';
+ *
+ * const caps = getCapabilities();
+ * if (caps.canSetPrctl) {
+ *   console.log('Full Linux prctl support available');
+ * }
+ * ```
+ */
+export declare const getCapabilities: () => Capabilities;
+
+/**
+ * Ask for the permissions that getCapabilities reports missing (Deno only).
+ * Deno prompts the user for each one when run interactively; --unstable-ffi
+ * cannot be granted at run time.
+ *
+ * @returns Promise resolving to the capabilities after the requests
+ *
+ * @example
+ * ```typescript
+ * import { requestPermissions } from 'set-process-name';
+ *
+ * const { missingPermissions } = await requestPermissions();
+ * ```
+ */
+export declare const requestPermissions: () => Promise<Capabilities>;
+
+/**
+ * Exercise every naming mechanism without changing the visible name: prctl
+ * reads the name and sets it again, /proc/self/comm and the command line
+ * get their current contents written back. Unlike getCapabilities, this
+ * really opens libc and writes to /proc; on Deno, mechanisms behind a
+ * missing permission are reported without prompting for it.
+ *
+ * @param options - Probe options
+ * @returns Promise resolving to the outcome of every mechanism
+ * @throws {TypeError} If libcPath is not a string
+ *
+ * @example
+ * ```typescript
+ * import { probeCapabilities } from 'set-process-name';
+ *
+ * const { prctl } = await probeCapabilities();
+ * if (!prctl.available) {
+ *   console.warn(`prctl unavailable (${prctl.code}): ${prctl.reason}`);
+ * }
+ * ```
+ */
+export declare const probeCapabilities: (
+  options?: ProbeCapabilitiesOptions
+) => Promise<ProbedCapabilities>;
@@ -6,116 +6,392 @@
  * Platforms: Linux, macOS, Windows
  */
 
+import cluster from 'node:cluster';
+import { readlinkSync } from 'node:fs';
+import { clearInterval, setInterval } from 'node:timers';
+import { isMainThread } from 'node:worker_threads';
+
+import {
+  asyncDisposeSymbol,
+  disposeSymbol,
+  getNativeBinding,
+  getNativeBindingSync,
+  detectLibc,
+  openNativeBinding,
+  openNativeBindingSync,
+} from './native.js';
+import {
+  applyBackends,
+  applyBackendsSync,
+  readBackends,
+  readBackendsSync,
+  registerBackend,
+} from './backends.js';
+import { ProcessNameError, toFailure } from './errors.js';
+import { assignTitle } from './lock.js';
+import {
+  getMissingPermissions,
+  getRequiredPermissions,
+  isDenoPermissionGranted,
+  requestMissingPermissions,
+} from './permissions.js';
+import {
+  captureCmdline,
+  getCmdlineMaxLength,
+  readCmdline,
+  readComm,
+  restoreCmdline,
+  writeCmdline,
+  writeComm,
+} from './proc.js';
+import { detectPlatform, detectRuntime } from './runtime.js';
+import { FIT_STRATEGIES, fitProcessName } from './truncate.js';
+import { applyNamePolicy, ON_INVALID } from './validate.js';
+
+export { spawnNamed, forkNamed } from './spawn.js';
+export { ProcessNameError, InvalidProcessNameError } from './errors.js';
+export {
+  registerBackend,
+  unregisterBackend,
+  setBackendOrder,
+  getBackendOrder,
+} from './backends.js';
+export { detectRuntime, detectPlatform } from './runtime.js';
+export { truncateProcessName, fitProcessName } from './truncate.js';
+export { probeCapabilities } from './probe.js';
+export { validateProcessName, sanitizeProcessName } from './validate.js';
+export { lockProcessName, unlockProcessName } from './lock.js';
+export { disposeNativeBinding } from './native.js';
+
 /**
- * Detect the current JavaScript runtime
- * @returns {'node' | 'bun' | 'deno' | 'unknown'}
+ * Fit a name into the kernel name buffer: on Linux the kernel keeps at most
+ * 15 bytes of the name, up to the first null byte
+ * @param {string} name - The desired name
+ * @param {string} platform - Detected platform
+ * @param {string} [fit='truncate-end'] - How to fit a name that is too long
+ * @returns {{effectiveName: string, truncated: boolean}} The name the kernel
+ * will hold and whether it had to be truncated
  */
-export const detectRuntime = () => {
-  if (typeof Deno !== 'undefined') {
-    return 'deno';
+const toKernelName = (name, platform, fit = 'truncate-end') => {
+  if (platform !== 'linux') {
+    return { effectiveName: name, truncated: false };
   }
-  if (
-    typeof process !== 'undefined' &&
-    process.versions &&
-    process.versions.bun
-  ) {
-    return 'bun';
+  const { name: effectiveName, truncated } = fitProcessName(
+    name.split('\0')[0],
+    { fit }
+  );
+  return { effectiveName, truncated };
+};
+
+// Valid values of the mode option of setProcessName
+const MODES = ['default', 'cmdline'];
+
+/**
+ * Validate the arguments of setProcessName/setProcessNameSync
+ * @param {string} name - The desired process name
+ * @param {{mode: string, comm?: string, libcPath?: string, onInvalid: string, fit: string}} options
+ * - The requested options, with defaults applied
+ */
+const assertSetArguments = (name, { mode, comm, libcPath, onInvalid, fit }) => {
+  if (typeof name !== 'string') {
+    throw new TypeError('Process name must be a string');
   }
-  if (
-    typeof process !== 'undefined' &&
-    process.versions &&
-    process.versions.node
-  ) {
-    return 'node';
+  if (!MODES.includes(mode)) {
+    throw new TypeError(`Unknown process name mode: ${mode}`);
+  }
+  if (comm !== undefined && typeof comm !== 'string') {
+    throw new TypeError('Kernel process name (comm) must be a string');
+  }
+  if (libcPath !== undefined && typeof libcPath !== 'string') {
+    throw new TypeError('libc path must be a string');
+  }
+  if (!ON_INVALID.includes(onInvalid)) {
+    throw new TypeError(`Unknown onInvalid policy: ${onInvalid}`);
+  }
+  if (!FIT_STRATEGIES.includes(fit)) {
+    throw new TypeError(`Unknown fit strategy: ${fit}`);
   }
-  return 'unknown';
 };
 
 /**
- * Detect the current operating system
- * @returns {'linux' | 'darwin' | 'win32' | 'unknown'}
+ * @typedef {object} SetProcessNameResult
+ * @property {boolean} success - Whether the name was set by any backend
+ * @property {Record<string, boolean | null>} backends - Outcome of every
+ * available backend by id: true if it worked, false if it failed, null if it
+ * did not need to or could not try
+ * @property {import('./errors.js').ProcessNameFailure[]} errors - Why the
+ * failed backends failed: `{backend, code, message, cause}`, or why the name
+ * was rejected (backend 'validation')
+ * @property {boolean} sanitized - Whether the name was changed to follow the
+ * character policy
+ * @property {boolean | null} processTitle - Whether process.title was set
+ * @property {boolean | null} prctl - Whether prctl was called via FFI
+ * @property {boolean | null} cmdline - Whether the command line was rewritten
+ * @property {boolean} truncated - Whether the kernel name was truncated
+ * @property {string} effectiveName - The name handed to the kernel
+ * @property {string | null} previous - The name in effect before the call
+ * @property {string | null} applied - The name read back (with verify)
+ * @property {boolean | null} verified - Whether it matches (with verify)
+ * @property {string} runtime - Detected runtime
+ * @property {string} platform - Detected platform
  */
-export const detectPlatform = () => {
-  // Try Deno first
-  if (typeof Deno !== 'undefined' && Deno.build) {
-    const os = Deno.build.os;
-    if (os === 'linux') {
-      return 'linux';
-    }
-    if (os === 'darwin') {
-      return 'darwin';
-    }
-    if (os === 'windows') {
-      return 'win32';
-    }
-    return 'unknown';
-  }
 
-  // Try Node.js/Bun
-  if (typeof process !== 'undefined' && process.platform) {
-    return process.platform;
+// Library state: the startup identity and the name last set through it,
+// with the kernel name it produced and the options it was set with
+const state = {
+  original: null,
+  current: null,
+  kernelName: null,
+  options: {},
+  titleWritable: false,
+  status: null,
+};
+
+/**
+ * Get the name currently in effect. process.title is authoritative where
+ * assigning it works; elsewhere (e.g. Deno) the name last set is used.
+ * @returns {string | null} The current process name
+ */
+const getCurrentName = () => {
+  if (state.current !== null && !state.titleWritable) {
+    return state.current;
   }
+  return nameSources.title() ?? state.current;
+};
+
+/**
+ * Create an empty result object for setProcessName/setProcessNameSync
+ * @param {ReturnType<typeof applyNamePolicy>} checked - The names to apply,
+ * or why they were rejected
+ * @param {string} runtime - Detected runtime
+ * @param {string} platform - Detected platform
+ * @param {string} fit - How to fit the kernel name
+ * @returns {SetProcessNameResult} The result object
+ */
+const createResult = (
+  { name, comm, sanitized, error },
+  runtime,
+  platform,
+  fit
+) => {
+  const { effectiveName, truncated } = toKernelName(
+    platform === 'linux' ? comm : name,
+    platform,
+    fit
+  );
 
-  return 'unknown';
+  return {
+    success: false,
+    backends: {},
+    errors: error ? [toFailure('validation', error)] : [],
+    sanitized,
+    processTitle: null,
+    prctl: null,
+    cmdline: null,
+    truncated,
+    effectiveName,
+    previous: getCurrentName(),
+    applied: null,
+    verified: null,
+    runtime,
+    platform,
+  };
 };
 
 /**
- * Set process name using Linux prctl via Bun FFI
- * @param {string} name - Process name (max 15 characters)
- * @returns {boolean} Whether the operation succeeded
+ * Set process.title and process.argv0 (works in Node.js, partially in Bun/Deno)
+ * @param {string} name - The desired process name
+ * @returns {true}
+ * @throws {ProcessNameError} TITLE_TRUNCATED if process.title took only the
+ * start of the name, TITLE_READONLY if it does not take the name at all
  */
-const setProcessNameLinuxBunFFI = async (name) => {
+const setTitle = (name) => {
+  let titleError = null;
   try {
-    const { dlopen, FFIType, ptr } = await import('bun:ffi');
-    const PR_SET_NAME = 15;
-    const libc = dlopen('libc.so.6', {
-      prctl: {
-        args: [FFIType.i32, FFIType.ptr],
-        returns: FFIType.i32,
-      },
-    });
-    // PR_SET_NAME accepts up to 16 bytes including the null terminator
-    const truncatedName = name.slice(0, 15);
-    const buf = Buffer.from(`${truncatedName}\0`);
-    const result = libc.symbols.prctl(PR_SET_NAME, ptr(buf));
-    libc.close();
-    return result === 0;
+    assignTitle(name);
+  } catch (error) {
+    titleError = error;
+  }
+
+  // Set process.argv0 for cosmetic purposes
+  try {
+    process.argv0 = name;
   } catch {
-    return false;
+    // Ignore - this is cosmetic
   }
+
+  const { title } = process;
+  // Node.js cuts titles down to the space of the original command line
+  if (
+    titleError === null &&
+    title !== '' &&
+    title !== name &&
+    name.startsWith(title)
+  ) {
+    throw new ProcessNameError(
+      'TITLE_TRUNCATED',
+      `process.title kept only the first ${title.length} of ${name.length} characters; the original command line has no room for more`
+    );
+  }
+  if (titleError !== null || title !== name) {
+    throw new ProcessNameError(
+      'TITLE_READONLY',
+      titleError === null
+        ? 'process.title did not take the new name'
+        : 'process.title cannot be assigned',
+      { cause: titleError ?? undefined }
+    );
+  }
+  return true;
 };
 
-// Cached Deno libc handle (singleton pattern to avoid repeated load/unload)
-let denoLibcHandle = null;
+registerBackend({
+  id: 'title',
+  isAvailable: () => typeof process !== 'undefined',
+  apply: setTitle,
+  read: () => nameSources.title(),
+});
+
+registerBackend({
+  id: 'cmdline',
+  isAvailable: ({ mode, platform }) =>
+    mode === 'cmdline' && platform === 'linux',
+  apply: (name, { fit }) => writeCmdline(name, fit),
+});
+
+// Bun and Deno on Linux: prctl through the native binding. Bun loads its FFI
+// asynchronously, so synchronous calls only use a binding already opened.
+registerBackend({
+  id: 'prctl',
+  kernel: true,
+  isAvailable: ({ runtime, platform }) =>
+    platform === 'linux' && (runtime === 'bun' || runtime === 'deno'),
+  apply: (name, { kernelName, runtime, libcPath, sync }) =>
+    sync
+      ? (openNativeBindingSync(runtime, libcPath)?.setName(kernelName) ?? null)
+      : openNativeBinding(runtime, libcPath).then((native) =>
+          native.setName(kernelName)
+        ),
+  read: ({ runtime, libcPath, sync }) => {
+    const getName = (native) => native?.getName() ?? null;
+    return sync
+      ? getName(getNativeBindingSync(runtime, libcPath))
+      : getNativeBinding(runtime, libcPath).then(getName);
+  },
+});
+
+// Linux: make the kernel name exactly the effective name. Node.js sets it
+// from the title, cut at 15 bytes (possibly mid-character) and ignoring the
+// comm option. Deno is left to prctl, as touching /proc may prompt for
+// permissions.
+registerBackend({
+  id: 'comm',
+  kernel: true,
+  isAvailable: ({ runtime, platform }) =>
+    platform === 'linux' && runtime !== 'deno',
+  apply: (name, { kernelName }) => {
+    if (readComm() === kernelName) {
+      return null;
+    }
+    return writeComm(kernelName);
+  },
+  read: () => readComm(),
+});
 
 /**
- * Set process name using Linux prctl via Deno FFI
- * @param {string} name - Process name (max 15 characters)
- * @returns {boolean} Whether the operation succeeded
+ * Create the context backends are called with
+ * @param {string} name - The desired process name
+ * @param {SetProcessNameResult} result - Result object with the effective name
+ * @param {{mode: string, libcPath?: string, fit: string}} options - Call options
+ * @param {boolean} sync - Whether the caller is synchronous
+ * @returns {import('./backends.js').BackendContext}
  */
-const setProcessNameLinuxDenoFFI = (name) => {
-  try {
-    const PR_SET_NAME = 15;
-
-    // Use cached handle or create new one
-    if (!denoLibcHandle) {
-      denoLibcHandle = Deno.dlopen('libc.so.6', {
-        prctl: {
-          parameters: ['i32', 'pointer'],
-          result: 'i32',
-        },
-      });
-    }
+const createContext = (name, result, { mode, libcPath, fit }, sync) => ({
+  name,
+  kernelName: result.effectiveName,
+  mode,
+  libcPath,
+  fit,
+  runtime: result.runtime,
+  platform: result.platform,
+  sync,
+});
 
-    // PR_SET_NAME accepts up to 16 bytes including the null terminator
-    const truncatedName = name.slice(0, 15);
-    const encoder = new TextEncoder();
-    const buf = encoder.encode(`${truncatedName}\0`);
-    const result = denoLibcHandle.symbols.prctl(PR_SET_NAME, buf);
-    // Note: We don't close the handle - it will be reused and cleaned up at process exit
-    return result === 0;
-  } catch {
-    return false;
+/**
+ * Fill in the result from the outcome of every backend
+ * @param {import('./backends.js').BackendRun} run - Outcomes and failures
+ * @param {SetProcessNameResult} result - Result object to update
+ */
+const applyOutcomes = ({ outcomes, errors }, result) => {
+  result.backends = outcomes;
+  result.errors = errors;
+  result.processTitle = outcomes.title ?? null;
+  result.prctl = outcomes.prctl ?? null;
+  result.cmdline = outcomes.cmdline ?? null;
+  result.success = Object.values(outcomes).includes(true);
+};
+
+/**
+ * Record the name that actually took effect and whether it matches the
+ * requested one. On Linux the kernel name is compared, elsewhere process.title.
+ * If the name could be read back, `success` reflects the verification.
+ * @param {string} name - The requested process name
+ * @param {string | null} applied - Name read back through the backends
+ * (the kernel name on Linux)
+ * @param {object} result - Result object to update
+ */
+const applyVerification = (name, applied, result) => {
+  const expected = result.platform === 'linux' ? result.effectiveName : name;
+  result.applied = applied;
+  result.verified = applied === null ? null : applied === expected;
+  if (result.verified !== null) {
+    result.success = result.verified;
+  }
+};
+
+/**
+ * Validate the arguments of a setProcessName/setProcessNameSync call, apply
+ * the onInvalid policy and create the result and the backend context
+ * @param {string} name - The requested process name
+ * @param {object} options - Options of the call
+ * @param {boolean} sync - Whether the caller is synchronous
+ * @returns {{name: string, result: SetProcessNameResult, context: import('./backends.js').BackendContext | null}}
+ * The name to apply, and no context if the name was rejected
+ */
+const prepareCall = (
+  name,
+  {
+    mode = 'default',
+    comm,
+    libcPath,
+    onInvalid = 'sanitize',
+    fit = 'truncate-end',
+  },
+  sync
+) => {
+  assertSetArguments(name, { mode, comm, libcPath, onInvalid, fit });
+  const checked = applyNamePolicy(name, comm, onInvalid);
+  const result = createResult(checked, detectRuntime(), detectPlatform(), fit);
+  const context = checked.error
+    ? null
+    : createContext(checked.name, result, { mode, libcPath, fit }, sync);
+  return { name: checked.name, result, context };
+};
+
+/**
+ * Remember the name set by a successful call, so that later calls can
+ * report it as `previous` and watchProcessName can put it back
+ * @param {string} name - The requested process name
+ * @param {SetProcessNameResult} result - Result of the call
+ * @param {object} options - Options of the call
+ */
+const recordResult = (name, result, options) => {
+  state.titleWritable = result.processTitle === true;
+  if (result.success) {
+    state.current = name;
+    state.kernelName =
+      result.platform === 'linux' ? result.effectiveName : null;
+    state.options = options;
   }
 };
 
@@ -123,161 +399,1003 @@ const setProcessNameLinuxDenoFFI = (name) => {
  * Set the process name visible in system monitoring tools
  *
  * @param {string} name - The desired process name
- * @returns {Promise<{success: boolean, processTitle: string | null, prctl: boolean | null, runtime: string, platform: string}>}
+ * The name is applied by every available backend in order (see
+ * registerBackend): by default process.title, the command line, prctl
+ * (Bun/Deno) and /proc/self/comm, each reported in `result.backends`.
+ *
+ * @param {{verify?: boolean, mode?: 'default' | 'cmdline', comm?: string, libcPath?: string, backends?: string[], onInvalid?: 'throw' | 'sanitize' | 'ignore', fit?: 'truncate-end' | 'truncate-start' | 'ellipsis-middle' | 'keep-suffix' | 'abbreviate'}} [options]
+ * - `verify: true` reads the name back after all methods have run and
+ *   reports it in `applied`/`verified`
+ * - `mode: 'cmdline'` also rewrites the full command line shown by `ps -ef`
+ *   (Linux only, limited to the length of the original command line)
+ * - `comm` sets a different, shorter name for the 15-byte kernel name shown
+ *   by top (Linux only); process.title still gets the full name
+ * - `libcPath` is the libc that Bun and Deno call prctl through, instead of
+ *   the one found automatically (also settable with SET_PROCESS_NAME_LIBC)
+ * - `backends` lists the ids of the backends to run, in order, instead of
+ *   all registered ones
+ * - `onInvalid` is what to do with an empty name or one with control
+ *   characters (see validateProcessName): `'sanitize'` (default) replaces
+ *   them with spaces, `'throw'` throws an InvalidProcessNameError, `'ignore'`
+ *   applies nothing; an empty name is never applied
+ * - `fit` is how a name too long for the 15-byte kernel name or the command
+ *   line is shortened (see fitProcessName): `'truncate-end'` (default),
+ *   `'truncate-start'`, `'ellipsis-middle'`, `'keep-suffix'`, `'abbreviate'`
+ * @returns {Promise<SetProcessNameResult>}
+ * @throws {InvalidProcessNameError} If the name is invalid and onInvalid is
+ * 'throw'
  *
  * @example
  * import { setProcessName } from 'set-process-name';
  *
  * await setProcessName('my-app');
  * // Process now shows as 'my-app' in top/ps/htop
+ *
+ * const { verified, applied } = await setProcessName('my-app', { verify: true });
  */
-export const setProcessName = async (name) => {
-  if (typeof name !== 'string') {
-    throw new TypeError('Process name must be a string');
+export const setProcessName = async (name, options = {}) => {
+  const { verify = false, backends } = options;
+  const {
+    name: validName,
+    result,
+    context,
+  } = prepareCall(name, options, false);
+  if (context === null) {
+    return result;
   }
 
-  const runtime = detectRuntime();
-  const platform = detectPlatform();
+  // macOS: process.title works via libuv in Node.js
+  // Windows: Task Manager shows executable name, process.title is cosmetic
+  applyOutcomes(await applyBackends(context, backends), result);
 
-  const result = {
-    success: false,
-    processTitle: null,
-    prctl: null,
-    runtime,
-    platform,
-  };
+  if (verify) {
+    applyVerification(validName, await readBackends(context), result);
+  }
 
-  // Set process.title (works in Node.js, partially in Bun/Deno)
-  if (typeof process !== 'undefined') {
-    try {
-      process.title = name;
-      result.processTitle = process.title === name;
-      result.success = result.processTitle;
-    } catch {
-      result.processTitle = false;
-    }
+  recordResult(validName, result, options);
+  return result;
+};
+
+/**
+ * Synchronous version of setProcessName for simpler use cases
+ * Note: On Bun runtime, prctl changes are only applied once an async call has
+ * loaded the FFI (use async version)
+ *
+ * @param {string} name - The desired process name
+ * @param {{verify?: boolean, mode?: 'default' | 'cmdline', comm?: string, libcPath?: string, backends?: string[], onInvalid?: 'throw' | 'sanitize' | 'ignore', fit?: 'truncate-end' | 'truncate-start' | 'ellipsis-middle' | 'keep-suffix' | 'abbreviate'}} [options]
+ * - Same options as setProcessName; backends whose `apply` returns a promise
+ *   are not waited for and reported as null
+ * @returns {SetProcessNameResult}
+ *
+ * @example
+ * import { setProcessNameSync } from 'set-process-name';
+ *
+ * setProcessNameSync('my-app');
+ */
+export const setProcessNameSync = (name, options = {}) => {
+  const { verify = false, backends } = options;
+  const { name: validName, result, context } = prepareCall(name, options, true);
+  if (context === null) {
+    return result;
+  }
+
+  applyOutcomes(applyBackendsSync(context, backends), result);
+
+  if (verify) {
+    applyVerification(validName, readBackendsSync(context), result);
+  }
+
+  recordResult(validName, result, options);
+  return result;
+};
+
+/**
+ * Readers for every name source supported by getProcessName
+ */
+const nameSources = {
+  title: () =>
+    typeof process !== 'undefined' && process.title ? process.title : null,
+  comm: () => readComm(),
+  cmdline: readCmdline,
+  argv0: () =>
+    typeof process !== 'undefined' && process.argv0 ? process.argv0 : null,
+};
 
-    // Set process.argv0 for cosmetic purposes
+/**
+ * Get the current process name
+ *
+ * By default returns `process.title`. Pass `source` to read the name the
+ * kernel actually reports instead (`comm`, `cmdline`), or `'all'` to read
+ * every source at once.
+ *
+ * @param {{source?: 'title' | 'comm' | 'cmdline' | 'argv0' | 'all'}} [options]
+ * @returns {string | null | {title: string | null, comm: string | null, cmdline: string | null, argv0: string | null}}
+ * The name from the requested source (null if unavailable), or all of them
+ *
+ * @example
+ * import { getProcessName } from 'set-process-name';
+ *
+ * const name = getProcessName();
+ * console.log(name); // 'node' or 'bun' or custom name
+ *
+ * const comm = getProcessName({ source: 'comm' });
+ * console.log(comm); // what top/ps show on Linux
+ */
+export const getProcessName = ({ source = 'title' } = {}) => {
+  if (source === 'all') {
+    return {
+      title: nameSources.title(),
+      comm: nameSources.comm(),
+      cmdline: nameSources.cmdline(),
+      argv0: nameSources.argv0(),
+    };
+  }
+  if (!Object.hasOwn(nameSources, source)) {
+    throw new TypeError(`Unknown process name source: ${source}`);
+  }
+  return nameSources[source]();
+};
+
+/**
+ * Get the kernel process name, the 15-byte name `ps -o comm` and top show
+ * (Linux only). Bun and Deno call prctl(PR_GET_NAME) through FFI; Node.js,
+ * worker threads (where prctl would read the thread's own name) and
+ * environments without FFI read /proc/self/comm.
+ *
+ * @returns {Promise<string | null>} The kernel name, or null if unavailable
+ *
+ * @example
+ * import { getKernelProcessName, setProcessName } from 'set-process-name';
+ *
+ * await setProcessName('payment-processor');
+ * console.log(await getKernelProcessName()); // 'payment-process'
+ */
+export const getKernelProcessName = async () => {
+  if (detectPlatform() !== 'linux') {
+    return null;
+  }
+  const binding = isMainThread ? await getNativeBinding(detectRuntime()) : null;
+  return binding?.getName() ?? readComm();
+};
+
+/**
+ * Synchronous version of getKernelProcessName. On Bun, prctl is only used
+ * once its FFI has been loaded by an asynchronous call.
+ *
+ * @returns {string | null} The kernel name, or null if unavailable
+ */
+export const getKernelProcessNameSync = () => {
+  if (detectPlatform() !== 'linux') {
+    return null;
+  }
+  const binding = isMainThread ? getNativeBindingSync(detectRuntime()) : null;
+  return binding?.getName() ?? readComm();
+};
+
+/**
+ * Capture the process identity at startup, before anything renames it,
+ * including the raw argument area for restoring the command line.
+ * On Deno, /proc is only read if that does not trigger a permission prompt.
+ * @returns {{title: string | null, comm: string | null, cmdline: string | null, argv0: string | null}}
+ */
+const snapshotProcessName = () => {
+  if (
+    detectRuntime() === 'deno' &&
+    !isDenoPermissionGranted({ name: 'read', path: '/proc/self' })
+  ) {
+    return {
+      title: nameSources.title(),
+      comm: null,
+      cmdline: null,
+      argv0: nameSources.argv0(),
+    };
+  }
+  captureCmdline();
+  return getProcessName({ source: 'all' });
+};
+
+state.original = snapshotProcessName();
+
+/**
+ * Get the process identity captured when this module was loaded
+ *
+ * @returns {{title: string | null, comm: string | null, cmdline: string | null, argv0: string | null}}
+ * The original name from every source, as returned by
+ * `getProcessName({ source: 'all' })`
+ *
+ * @example
+ * import { getOriginalProcessName } from 'set-process-name';
+ *
+ * console.log(getOriginalProcessName().title); // 'node'
+ */
+export const getOriginalProcessName = () => ({ ...state.original });
+
+/**
+ * Put back the parts of the original identity that setting the title
+ * does not restore by itself: argv0, the exact kernel name and the
+ * original command line
+ * @param {SetProcessNameResult} result - Result of setting the original title
+ */
+const restoreOriginalDetails = (result) => {
+  const { argv0, comm } = state.original;
+  if (argv0 !== null) {
     try {
-      process.argv0 = name;
+      process.argv0 = argv0;
     } catch {
       // Ignore - this is cosmetic
     }
   }
 
-  // Platform-specific handling
-  if (platform === 'linux') {
-    if (runtime === 'bun') {
-      result.prctl = await setProcessNameLinuxBunFFI(name);
-      result.success = result.success || result.prctl;
-    } else if (runtime === 'deno') {
-      result.prctl = setProcessNameLinuxDenoFFI(name);
-      result.success = result.success || result.prctl;
+  if (result.platform === 'linux') {
+    result.cmdline = restoreCmdline();
+    result.backends.cmdline = result.cmdline;
+    if (comm !== null && readComm() !== comm) {
+      try {
+        writeComm(comm);
+        result.effectiveName = comm;
+        // What verify read back predates this write
+        if (result.verified !== null) {
+          applyVerification(comm, readComm(), result);
+        }
+      } catch {
+        // The kernel name keeps what setProcessName gave it
+      }
     }
-    // Node.js on Linux: process.title already uses prctl internally via libuv
   }
 
-  // macOS: process.title works via libuv in Node.js
-  // Windows: Task Manager shows executable name, process.title is cosmetic
+  // Nothing set through this library is in effect anymore
+  state.current = null;
+};
+
+/**
+ * Restore the process name captured when this module was loaded,
+ * undoing every setProcessName call
+ *
+ * @param {{verify?: boolean}} [options] - Same `verify` option as setProcessName
+ * @returns {Promise<SetProcessNameResult>}
+ *
+ * @example
+ * import { setProcessName, restoreProcessName } from 'set-process-name';
+ *
+ * await setProcessName('my-tool');
+ * // ...
+ * await restoreProcessName();
+ * // Process shows as 'node' again
+ */
+export const restoreProcessName = async ({ verify = false } = {}) => {
+  const result = await setProcessName(state.original.title ?? '', { verify });
+  restoreOriginalDetails(result);
+  return result;
+};
 
+/**
+ * Synchronous version of restoreProcessName
+ * Note: On Bun runtime, this may not restore the kernel name via prctl
+ * (use async version)
+ *
+ * @param {{verify?: boolean}} [options] - Same `verify` option as setProcessName
+ * @returns {SetProcessNameResult}
+ *
+ * @example
+ * import { restoreProcessNameSync } from 'set-process-name';
+ *
+ * restoreProcessNameSync();
+ */
+export const restoreProcessNameSync = ({ verify = false } = {}) => {
+  const result = setProcessNameSync(state.original.title ?? '', { verify });
+  restoreOriginalDetails(result);
   return result;
 };
 
 /**
- * Synchronous version of setProcessName for simpler use cases
- * Note: On Bun runtime, this may not apply prctl changes (use async version)
+ * Set a process name that lasts until the returned handle is disposed.
+ * Disposing puts back the name that was in effect before: the original
+ * identity if nothing had been set yet, otherwise the previous name, set
+ * again with the options it was set with (comm, mode, fit, ...).
  *
  * @param {string} name - The desired process name
- * @returns {{success: boolean, processTitle: boolean | null, prctl: boolean | null, runtime: string, platform: string}}
+ * @param {{verify?: boolean, mode?: 'default' | 'cmdline', comm?: string}} [options]
+ * - Same options as setProcessName; `verify` also applies when restoring
+ * @returns {Promise<{result: SetProcessNameResult, restore: () => Promise<SetProcessNameResult | null>, restoreSync: () => SetProcessNameResult | null}>}
+ * A handle that is both Disposable and AsyncDisposable. Restoring is done
+ * once; later calls return null.
  *
  * @example
- * import { setProcessNameSync } from 'set-process-name';
+ * import { useProcessName } from 'set-process-name';
  *
- * setProcessNameSync('my-app');
+ * {
+ *   await using scope = await useProcessName('app: migrating');
+ *   await migrate();
+ * } // previous name restored here
+ */
+export const useProcessName = async (name, options = {}) => {
+  // Snapshot before the scoped name replaces them
+  const previousName = state.current;
+  const wasOriginal = previousName === null;
+  const restoreOptions = { ...state.options, verify: options.verify };
+  const result = await setProcessName(name, options);
+  let restored = false;
+
+  const restore = () => {
+    if (restored) {
+      return null;
+    }
+    restored = true;
+    return wasOriginal
+      ? restoreProcessName(restoreOptions)
+      : setProcessName(previousName, restoreOptions);
+  };
+  const restoreSync = () => {
+    if (restored) {
+      return null;
+    }
+    restored = true;
+    return wasOriginal
+      ? restoreProcessNameSync(restoreOptions)
+      : setProcessNameSync(previousName, restoreOptions);
+  };
+
+  return {
+    result,
+    restore,
+    restoreSync,
+    [disposeSymbol]: restoreSync,
+    [asyncDisposeSymbol]: restore,
+  };
+};
+
+/**
+ * Run a task under a process name, e.g. "app: migrating" during a migration.
+ * The previous name is restored when the task settles, even if it throws
+ * or rejects.
+ *
+ * @template T
+ * @param {string} name - The process name to wear while the task runs
+ * @param {(result: SetProcessNameResult) => T | Promise<T>} fn - The task
+ * @param {{verify?: boolean, mode?: 'default' | 'cmdline', comm?: string}} [options]
+ * - Same options as setProcessName
+ * @returns {Promise<T>} What the task returns
+ *
+ * @example
+ * import { withProcessName } from 'set-process-name';
+ *
+ * await withProcessName('app: migrating', async () => {
+ *   await migrate();
+ * });
+ */
+export const withProcessName = async (name, fn, options = {}) => {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Task must be a function');
+  }
+  const scope = await useProcessName(name, options);
+  try {
+    return await fn(scope.result);
+  } finally {
+    await scope.restore();
+  }
+};
+
+/**
+ * Render a title template, replacing `{field}` placeholders with field
+ * values. Missing fields render as empty strings.
+ * @param {string} template - Template such as 'api[{pid}] {state}'
+ * @param {Record<string, unknown>} fields - Field values
+ * @returns {string} The rendered text
+ */
+const renderTemplate = (template, fields) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    fields[key] === undefined || fields[key] === null ? '' : String(fields[key])
+  );
+
+/**
+ * Fit a full title into the space process.title has on this platform
+ * (on Linux, the original command line), without splitting a character
+ * @param {string} text - The full title
+ * @param {string} [fit='truncate-end'] - How to fit a title that is too long
+ * @returns {string} The title, shortened if needed
+ */
+const fitTitle = (text, fit = 'truncate-end') => {
+  const maxLength = getCmdlineMaxLength();
+  return maxLength === null
+    ? text
+    : fitProcessName(text, { fit, maxBytes: maxLength }).name;
+};
+
+/**
+ * Create a dynamic process title rendered from a template, for daemons
+ * whose title reflects changing state such as `api[{pid}] {state} conns={conns}`
+ *
+ * The full text goes to process.title (and the command line with
+ * `mode: 'cmdline'`), truncated to what the platform allows. The 15-byte
+ * kernel name shown by top is rendered from the `comm` template, so the
+ * fields that matter most can be placed there; without it the full text
+ * is truncated. `{pid}` is always available as a field.
+ *
+ * The initial fields are applied right away. Updates are applied in order;
+ * if the rendered title does not change, nothing is set again and the
+ * result of the last change is returned. A title that could not be set is
+ * tried again on the next update. `ready` and `update()` reject if
+ * setProcessName throws (e.g. with `onInvalid: 'throw'`), so await them to
+ * see it; left unawaited, the rejection does not crash the process.
+ *
+ * @param {string} template - Title template with `{field}` placeholders
+ * @param {Record<string, unknown>} [initialFields] - Initial field values
+ * @param {{comm?: string, verify?: boolean, mode?: 'default' | 'cmdline'}} [options]
+ * - `comm`: template for the kernel name; other options are passed to setProcessName
+ * @returns {{ready: Promise<SetProcessNameResult>, update: (fields: Record<string, unknown>) => Promise<SetProcessNameResult>, readonly fields: Record<string, unknown>, readonly text: string, readonly comm: string}}
+ *
+ * @example
+ * import { createProcessTitle } from 'set-process-name';
+ *
+ * const title = createProcessTitle(
+ *   'api[{pid}] {state} conns={conns}',
+ *   { state: 'idle', conns: 0 },
+ *   { comm: 'api {state}' }
+ * );
+ *
+ * await title.update({ state: 'busy', conns: 12 });
+ * // ps -ef: api[4242] busy conns=12    top: api busy
+ */
+export const createProcessTitle = (
+  template,
+  initialFields = {},
+  { comm: commTemplate, ...setOptions } = {}
+) => {
+  if (typeof template !== 'string') {
+    throw new TypeError('Title template must be a string');
+  }
+  if (commTemplate !== undefined && typeof commTemplate !== 'string') {
+    throw new TypeError('Kernel name (comm) template must be a string');
+  }
+
+  const pid = typeof process !== 'undefined' ? process.pid : undefined;
+  let fields = { pid, ...initialFields };
+  let applied = null;
+  let lastResult = null;
+  let pending = Promise.resolve(null);
+
+  const render = () => {
+    const text = fitTitle(renderTemplate(template, fields), setOptions.fit);
+    const comm =
+      commTemplate === undefined ? text : renderTemplate(commTemplate, fields);
+    return { text, comm };
+  };
+
+  const apply = async () => {
+    const { text, comm } = render();
+    if (applied && applied.text === text && applied.comm === comm) {
+      return lastResult;
+    }
+    lastResult = await setProcessName(text, { ...setOptions, comm });
+    applied = lastResult.success ? { text, comm } : null;
+    return lastResult;
+  };
+
+  const update = (partialFields = {}) => {
+    fields = { ...fields, ...partialFields };
+    // Chain updates so that a slower earlier one cannot overwrite a later one
+    pending = pending.then(apply, apply);
+    // Callers get the rejection; the chain itself must not be unhandled
+    pending.catch(() => {});
+    return pending;
+  };
+
+  return {
+    ready: update(),
+    update,
+    get fields() {
+      return { ...fields };
+    },
+    get text() {
+      return render().text;
+    },
+    get comm() {
+      return render().comm;
+    },
+  };
+};
+
+/**
+ * Find the base identity for a status title: the name in effect before the
+ * first status, unless the process was renamed since the last status
+ * @param {string | undefined} base - Explicitly requested base name
+ * @returns {string} The base name
+ */
+const resolveStatusBase = (base) => {
+  if (base !== undefined) {
+    return base;
+  }
+  if (state.status !== null && state.current === state.status.title) {
+    return state.status.base;
+  }
+  return getCurrentName() ?? '';
+};
+
+/**
+ * Show a status next to a fixed base identity, PostgreSQL style:
+ * `myapp: idle`, `myapp: handling request`
+ *
+ * The base name stays in the kernel name (so `ps -o comm` and `pgrep -x myapp`
+ * keep working), while the status only goes where there is room:
+ * process.title, and the full command line with `mode: 'cmdline'`.
+ * The base is the name in effect before the first status, or `options.base`.
+ *
+ * @param {string} status - The status to show
+ * @param {{base?: string, verify?: boolean, mode?: 'default' | 'cmdline'}} [options]
+ * - `base`: base name to use instead of the current one; other options are
+ *   passed to setProcessName
+ * @returns {Promise<SetProcessNameResult>}
+ *
+ * @example
+ * import { setProcessName, setProcessStatus } from 'set-process-name';
+ *
+ * await setProcessName('myapp');
+ * await setProcessStatus('idle'); // ps -ef: 'myapp: idle', top: 'myapp'
+ * await setProcessStatus('handling request');
+ */
+export const setProcessStatus = async (
+  status,
+  { base: requestedBase, ...setOptions } = {}
+) => {
+  if (typeof status !== 'string') {
+    throw new TypeError('Process status must be a string');
+  }
+  if (requestedBase !== undefined && typeof requestedBase !== 'string') {
+    throw new TypeError('Base process name must be a string');
+  }
+
+  const base = resolveStatusBase(requestedBase);
+  const title = status === '' ? base : `${base}: ${status}`;
+  const result = await setProcessName(title, { ...setOptions, comm: base });
+  if (result.success) {
+    // The title as applied, after the onInvalid policy, and the options
+    // clearProcessStatus applies the base name with
+    state.status = { base, title: state.current, options: setOptions };
+  }
+  return result;
+};
+
+/**
+ * Remove the status set by setProcessStatus, leaving only the base name
+ *
+ * @param {{verify?: boolean, mode?: 'default' | 'cmdline'}} [options] - Same
+ * options as setProcessName; those not given are the ones the status was set
+ * with
+ * @returns {Promise<SetProcessNameResult | null>} The result, or null if no
+ * status was set
+ *
+ * @example
+ * import { clearProcessStatus } from 'set-process-name';
+ *
+ * await clearProcessStatus(); // ps -ef: 'myapp'
+ */
+export const clearProcessStatus = (options = {}) => {
+  if (state.status === null) {
+    return Promise.resolve(null);
+  }
+  const { base, options: statusOptions } = state.status;
+  state.status = null;
+  return setProcessName(base, { ...statusOptions, ...options });
+};
+
+/**
+ * Read the name as other processes see it. On Deno, /proc is only read with
+ * the read permission, so that polling never prompts.
+ * @returns {{title: string | null, comm: string | null}}
+ */
+const readVisibleName = () => ({
+  title: nameSources.title(),
+  comm:
+    detectRuntime() === 'deno' &&
+    !isDenoPermissionGranted({ name: 'read', path: '/proc/self' })
+      ? null
+      : readComm(),
+});
+
+/**
+ * Compare the visible name with the one last set through this library.
+ * process.title is only compared where assigning it works, the kernel name
+ * only on Linux.
+ * @returns {{expected: {title: string | null, comm: string | null}, actual: {title: string | null, comm: string | null}} | null}
+ * The drift, or null if there is none or nothing was set
+ */
+const findDrift = () => {
+  if (state.current === null) {
+    return null;
+  }
+  const expected = {
+    title: state.titleWritable ? state.current : null,
+    comm: state.kernelName,
+  };
+  const actual = readVisibleName();
+  const drifted = (key) =>
+    expected[key] !== null &&
+    actual[key] !== null &&
+    actual[key] !== expected[key];
+  return drifted('title') || drifted('comm') ? { expected, actual } : null;
+};
+
+/**
+ * Watch for something else renaming the process, such as a dependency
+ * assigning process.title. Every `interval` milliseconds, process.title and
+ * the kernel name (/proc/self/comm on Linux) are compared with the name last
+ * set through setProcessName; each new drift is reported once. Nothing is
+ * reported before a name is set or after restoreProcessName.
+ *
+ * The timer does not keep the process alive.
+ *
+ * @param {(drift: {expected: {title: string | null, comm: string | null}, actual: {title: string | null, comm: string | null}, reasserted: boolean | null}) => void} callback
+ * - Called with the expected and actual names, and with `reassert: true`
+ *   whether the name could be put back (otherwise null)
+ * @param {{interval?: number, reassert?: boolean}} [options]
+ * - `interval`: milliseconds between checks (default 1000)
+ * - `reassert`: set the name again, with the same options, when it drifts
+ * @returns {{check: () => object | null, stop: () => void}} `check` runs a
+ * check right away and returns the drift it reported, if any; `stop` (also
+ * `Symbol.dispose`) stops watching
+ * @throws {TypeError} If callback is not a function or interval is not a
+ * positive number
+ *
+ * @example
+ * import { setProcessName, watchProcessName } from 'set-process-name';
+ *
+ * await setProcessName('billing-api');
+ * watchProcessName(
+ *   ({ actual }) => console.warn(`Process renamed to ${actual.title}`),
+ *   { interval: 5000, reassert: true }
+ * );
+ */
+export const watchProcessName = (
+  callback,
+  { interval = 1000, reassert = false } = {}
+) => {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Watch callback must be a function');
+  }
+  if (typeof interval !== 'number' || !(interval > 0)) {
+    throw new TypeError('Watch interval must be a positive number');
+  }
+
+  // The drift last reported, so that a lasting one is reported once
+  let reported = null;
+
+  const check = () => {
+    const drift = findDrift();
+    const key = drift && JSON.stringify(drift);
+    if (key === reported) {
+      return null;
+    }
+    reported = key;
+    if (drift === null) {
+      return null;
+    }
+    const event = { ...drift, reasserted: null };
+    if (reassert) {
+      event.reasserted = setProcessNameSync(state.current, {
+        ...state.options,
+        verify: false,
+      }).success;
+      // Report the next drift even if it looks the same as this one
+      reported = null;
+    }
+    callback(event);
+    return event;
+  };
+
+  // Polling alone must not keep the process alive
+  const timer = setInterval(check, interval).unref();
+  const stop = () => clearInterval(timer);
+
+  return { check, stop, [disposeSymbol]: stop };
+};
+
+// Keys of the IPC messages a cluster worker sends to ask for its name and
+// the primary sends back with it
+const CLUSTER_NAME_REQUEST = 'set-process-name:cluster-name-request';
+const CLUSTER_NAME_MESSAGE = 'set-process-name:cluster-name';
+
+/**
+ * Name the primary and the workers of a node:cluster application, so that
+ * `ps` can tell them apart
+ *
+ * Call it in both the primary and the workers (usually the same entry file
+ * runs in both). The primary names itself and works out each worker's name
+ * when it is forked, including workers forked to replace ones that died. A
+ * worker applies its name right away when `worker` is given; otherwise it
+ * asks the primary for it over IPC, so the worker-side call may be just
+ * `nameCluster()`.
+ *
+ * The IPC messages are plain objects keyed `'set-process-name:cluster-name'`
+ * and `'set-process-name:cluster-name-request'`; application 'message'
+ * handlers should ignore them.
+ *
+ * @param {{primary?: string, worker?: string | ((id: number, worker: import('node:cluster').Worker) => string), verify?: boolean, mode?: 'default' | 'cmdline'}} [options]
+ * - `primary`: name of the primary process
+ * - `worker`: name of every worker, or a function of the worker id
+ * - other options are passed to setProcessName
+ * @returns {{ready: Promise<SetProcessNameResult | null>, dispose: () => void}}
+ * `ready` resolves when this process has been named (null if there was no
+ * name for it); `dispose` removes the event listeners
+ *
+ * @example
+ * import cluster from 'node:cluster';
+ * import { nameCluster } from 'set-process-name';
+ *
+ * nameCluster({ primary: 'api-master', worker: (id) => `api-w${id}` });
+ *
+ * if (cluster.isPrimary) {
+ *   cluster.fork();
+ *   cluster.fork();
+ * } else {
+ *   startServer();
+ * }
  */
-export const setProcessNameSync = (name) => {
+export const nameCluster = ({ primary, worker, ...setOptions } = {}) => {
+  if (primary !== undefined && typeof primary !== 'string') {
+    throw new TypeError('Primary process name must be a string');
+  }
+  if (
+    worker !== undefined &&
+    typeof worker !== 'string' &&
+    typeof worker !== 'function'
+  ) {
+    throw new TypeError('Worker process name must be a string or a function');
+  }
+
+  const getWorkerName = (clusterWorker) =>
+    typeof worker === 'function'
+      ? worker(clusterWorker.id, clusterWorker)
+      : worker;
+
+  if (cluster.isPrimary) {
+    const names = new Map();
+    const onFork = (clusterWorker) => {
+      names.set(clusterWorker.id, getWorkerName(clusterWorker));
+    };
+    const onExit = (clusterWorker) => {
+      names.delete(clusterWorker.id);
+    };
+    const onMessage = (clusterWorker, message) => {
+      if (!message?.[CLUSTER_NAME_REQUEST]) {
+        return;
+      }
+      const name = names.has(clusterWorker.id)
+        ? names.get(clusterWorker.id)
+        : getWorkerName(clusterWorker);
+      clusterWorker.send({ [CLUSTER_NAME_MESSAGE]: name ?? null });
+    };
+    cluster.on('fork', onFork);
+    cluster.on('exit', onExit);
+    cluster.on('message', onMessage);
+
+    return {
+      ready:
+        primary === undefined
+          ? Promise.resolve(null)
+          : setProcessName(primary, setOptions),
+      dispose: () => {
+        cluster.off('fork', onFork);
+        cluster.off('exit', onExit);
+        cluster.off('message', onMessage);
+      },
+    };
+  }
+
+  if (worker !== undefined) {
+    const name = getWorkerName(cluster.worker);
+    return {
+      ready:
+        typeof name === 'string'
+          ? setProcessName(name, setOptions)
+          : Promise.resolve(null),
+      dispose: () => {},
+    };
+  }
+
+  // Ask the primary; the listener is removed on reply, since a lingering
+  // 'message' listener keeps the IPC channel (and the worker) alive
+  let onMessage;
+  const ready = new Promise((resolve) => {
+    onMessage = (message) => {
+      if (!message || !(CLUSTER_NAME_MESSAGE in message)) {
+        return;
+      }
+      process.off('message', onMessage);
+      const name = message[CLUSTER_NAME_MESSAGE];
+      resolve(
+        typeof name === 'string' ? setProcessName(name, setOptions) : null
+      );
+    };
+  });
+  process.on('message', onMessage);
+  process.send({ [CLUSTER_NAME_REQUEST]: true });
+
+  return {
+    ready,
+    dispose: () => {
+      process.off('message', onMessage);
+    },
+  };
+};
+
+// The calling thread's /proc entry. Only synchronous fs calls may use it:
+// asynchronous ones run on the libuv thread pool and would name a pool thread.
+const THREAD_SELF = '/proc/thread-self';
+
+/**
+ * Get the kernel thread id of the calling thread (Linux 3.17+)
+ * @returns {number | null} The thread id, or null if unavailable
+ */
+const getThreadId = () => {
+  try {
+    // /proc/thread-self links to <pid>/task/<tid>
+    const tid = Number(readlinkSync(THREAD_SELF).split('/').pop());
+    return Number.isInteger(tid) ? tid : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Set the name of the calling OS thread, as shown by `top -H` and `htop`
+ * with thread display enabled
+ *
+ * Call it from inside a worker (Node.js worker_threads, Bun/Deno Workers)
+ * to label that worker's thread. Called from the main thread it names the
+ * main thread, which on Linux is also the process name.
+ *
+ * Linux only: writes /proc/thread-self/comm, falling back to
+ * prctl(PR_SET_NAME) via FFI on Bun and Deno. Like the process name, the
+ * thread name is shortened to 15 bytes.
+ *
+ * @param {string} name - The desired thread name
+ * @param {{fit?: 'truncate-end' | 'truncate-start' | 'ellipsis-middle' | 'keep-suffix' | 'abbreviate'}} [options]
+ * - `fit`: how a name that is too long is shortened, as for setProcessName
+ * @returns {Promise<{success: boolean, comm: boolean | null, prctl: boolean | null, threadId: number | null, truncated: boolean, effectiveName: string, runtime: string, platform: string}>}
+ *
+ * @example
+ * import { Worker, isMainThread } from 'node:worker_threads';
+ * import { setThreadName } from 'set-process-name';
+ *
+ * if (!isMainThread) {
+ *   await setThreadName('img-resize');
+ * }
+ */
+export const setThreadName = async (name, { fit = 'truncate-end' } = {}) => {
   if (typeof name !== 'string') {
-    throw new TypeError('Process name must be a string');
+    throw new TypeError('Thread name must be a string');
+  }
+  if (!FIT_STRATEGIES.includes(fit)) {
+    throw new TypeError(`Unknown fit strategy: ${fit}`);
   }
 
   const runtime = detectRuntime();
   const platform = detectPlatform();
+  const { effectiveName, truncated } = toKernelName(name, platform, fit);
 
   const result = {
     success: false,
-    processTitle: null,
+    comm: null,
     prctl: null,
+    threadId: null,
+    truncated,
+    effectiveName,
     runtime,
     platform,
   };
 
-  // Set process.title (works in Node.js, partially in Bun/Deno)
-  if (typeof process !== 'undefined') {
-    try {
-      process.title = name;
-      result.processTitle = process.title === name;
-      result.success = result.processTitle;
-    } catch {
-      result.processTitle = false;
-    }
+  if (platform !== 'linux') {
+    return result;
+  }
 
-    // Set process.argv0 for cosmetic purposes
-    try {
-      process.argv0 = name;
-    } catch {
-      // Ignore - this is cosmetic
-    }
+  result.threadId = getThreadId();
+  try {
+    result.comm = writeComm(effectiveName, `${THREAD_SELF}/comm`);
+  } catch {
+    result.comm = false;
   }
+  result.success = result.comm;
 
-  // Platform-specific handling (sync version)
-  if (platform === 'linux' && runtime === 'deno') {
-    result.prctl = setProcessNameLinuxDenoFFI(name);
-    result.success = result.success || result.prctl;
+  // prctl(PR_SET_NAME) names the calling thread, not the whole process
+  if (!result.success) {
+    if (runtime === 'bun' || runtime === 'deno') {
+      try {
+        result.prctl = (await openNativeBinding(runtime)).setName(
+          effectiveName
+        );
+      } catch {
+        result.prctl = false;
+      }
+      result.success = result.prctl;
+    }
   }
-  // Note: Bun FFI requires async import, so prctl won't be applied in sync version
 
   return result;
 };
 
 /**
- * Get the current process name
+ * Get the name of the calling OS thread (Linux only)
  *
- * @returns {string | null} The current process name, or null if unavailable
+ * @returns {string | null} The thread name, or null if unavailable
  *
  * @example
- * import { getProcessName } from 'set-process-name';
+ * import { getThreadName } from 'set-process-name';
  *
- * const name = getProcessName();
- * console.log(name); // 'node' or 'bun' or custom name
+ * console.log(getThreadName()); // 'img-resize' inside a named worker
  */
-export const getProcessName = () => {
-  if (typeof process !== 'undefined' && process.title) {
-    return process.title;
+export const getThreadName = () => {
+  const name = readComm(`${THREAD_SELF}/comm`);
+  if (name === null && detectPlatform() === 'linux') {
+    return getNativeBindingSync(detectRuntime())?.getName() ?? null;
   }
-  return null;
+  return name;
 };
 
 /**
  * Check if the process name can be set on the current platform/runtime
  *
- * @returns {{canSetTitle: boolean, canSetPrctl: boolean, runtime: string, platform: string}}
+ * On Deno, FFI and /proc access are behind permissions, which are queried
+ * (without prompting) and reported in `requiredPermissions` and
+ * `missingPermissions`; the `canSet*` flags account for them.
+ *
+ * @returns {{canSetTitle: boolean, canSetPrctl: boolean, canSetCmdline: boolean, cmdlineMaxLength: number | null, libc: string | null, requiredPermissions: import('./permissions.js').PermissionRequirement[], missingPermissions: import('./permissions.js').PermissionRequirement[], runtime: string, platform: string}}
+ * `libc` is the C library that Bun and Deno call prctl through (Linux only)
  *
  * @example
  * import { getCapabilities } from 'set-process-name';
  *
  * const caps = getCapabilities();
  * console.log(caps.canSetTitle); // true on Node.js
+ *
+ * for (const { flag, reason } of caps.missingPermissions) {
+ *   console.warn(`Run with ${flag}: ${reason}`);
+ * }
  */
 export const getCapabilities = () => {
   const runtime = detectRuntime();
   const platform = detectPlatform();
+  const missingPermissions = getMissingPermissions(runtime, platform);
+  const isMissing = (name) =>
+    missingPermissions.some((requirement) => requirement.name === name);
+  // On Deno, reading /proc without permission would prompt
+  const canReadProc = !isMissing('read');
+  const cmdlineMaxLength = canReadProc ? getCmdlineMaxLength() : null;
 
   return {
     canSetTitle:
       typeof process !== 'undefined' && typeof process.title !== 'undefined',
     canSetPrctl:
-      platform === 'linux' && (runtime === 'node' || runtime === 'bun'),
+      platform === 'linux' &&
+      (runtime === 'node' ||
+        runtime === 'bun' ||
+        (runtime === 'deno' && !isMissing('ffi'))),
+    canSetCmdline: cmdlineMaxLength !== null && !isMissing('write'),
+    cmdlineMaxLength,
+    libc: platform === 'linux' && canReadProc ? detectLibc() : null,
+    requiredPermissions: getRequiredPermissions(runtime, platform),
+    missingPermissions,
     runtime,
     platform,
   };
 };
+
+/**
+ * Ask for the permissions that getCapabilities reports missing (Deno only;
+ * elsewhere nothing is missing). Deno prompts the user for each one when
+ * run interactively; --unstable-ffi cannot be granted at run time.
+ *
+ * @returns {Promise<ReturnType<typeof getCapabilities>>} The capabilities
+ * after the requests
+ *
+ * @example
+ * import { requestPermissions, setProcessName } from 'set-process-name';
+ *
+ * const { missingPermissions } = await requestPermissions();
+ * if (missingPermissions.length === 0) {
+ *   await setProcessName('my-cli');
+ * }
+ */
+export const requestPermissions = async () => {
+  await requestMissingPermissions(detectRuntime(), detectPlatform());
+  return getCapabilities();
+};
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Locking process.title against assignments by other code
+ *
+ * The lock replaces process.title with an accessor. Names set through this
+ * library pass; any other assignment is recorded with its stack trace and
+ * rejected, ignored or warned about.
+ *
+ * Where process.title is a native property (Node.js), JavaScript cannot put
+ * it back once replaced, so the accessor stays after unlocking and passes
+ * assignments on by rewriting the command line and /proc/self/comm the way
+ * Node.js does on Linux. Elsewhere the native setter cannot be reproduced,
+ * so such a property is not locked at all.
+ */
+
+import { ProcessNameError } from './errors.js';
+import {
+  getCmdlineArea,
+  getCmdlineMaxLength,
+  writeCmdline,
+  writeComm,
+} from './proc.js';
+import { detectPlatform } from './runtime.js';
+import { fitProcessName, truncateProcessName } from './truncate.js';
+
+/** Valid values of the mode option of lockProcessName */
+export const LOCK_MODES = ['reject', 'ignore', 'warn'];
+
+// Attempts kept per lock; older ones are dropped
+const MAX_ATTEMPTS = 100;
+
+// The installed accessor and the property it replaced, or null
+let installed = null;
+
+// The active lock, or null
+let activeLock = null;
+
+// Set while this library assigns process.title itself
+let internalWrite = false;
+
+/**
+ * Find the process.title property, own or inherited (Deno's process shim
+ * defines it on a prototype)
+ * @returns {{descriptor: PropertyDescriptor, own: boolean} | null}
+ */
+export const findTitleDescriptor = () => {
+  if (typeof process === 'undefined') {
+    return null;
+  }
+  for (let target = process; target; target = Object.getPrototypeOf(target)) {
+    const descriptor = Object.getOwnPropertyDescriptor(target, 'title');
+    if (descriptor) {
+      return { descriptor, own: target === process };
+    }
+  }
+  return null;
+};
+
+/**
+ * Do what Node.js does on Linux when process.title is assigned: cut the
+ * title to the room in the command line, rewrite the command line and set
+ * the kernel name to its first 15 bytes
+ * @param {string} title - The new title
+ * @returns {string} The title as cut, which process.title reads back from
+ * then on, as it does natively
+ */
+const emulateTitle = (title) => {
+  if (detectPlatform() !== 'linux') {
+    return title;
+  }
+  const maxBytes = getCmdlineMaxLength();
+  const fitted =
+    maxBytes === null ? title : fitProcessName(title, { maxBytes }).name;
+  try {
+    writeCmdline(fitted);
+  } catch {
+    // The kernel name below is still worth setting
+  }
+  try {
+    writeComm(truncateProcessName(fitted).name);
+  } catch {
+    // Node.js ignores prctl failures too
+  }
+  return fitted;
+};
+
+/**
+ * Record an assignment made while locked, and reject, ignore or warn
+ * about it depending on the lock mode
+ * @param {unknown} title - The value that was assigned
+ * @param {string} lockedTitle - The title in effect
+ * @throws {ProcessNameError} TITLE_LOCKED in 'reject' mode
+ */
+const blockAssignment = (title, lockedTitle) => {
+  const attempt = {
+    value: String(title),
+    stack: new Error('process.title assignment').stack ?? '',
+    timestamp: Date.now(),
+  };
+  activeLock.attempts.push(attempt);
+  if (activeLock.attempts.length > MAX_ATTEMPTS) {
+    activeLock.attempts.shift();
+  }
+
+  const message = `process.title is locked to '${lockedTitle}'; assignment of '${attempt.value}' blocked`;
+  if (activeLock.mode === 'reject') {
+    throw new ProcessNameError('TITLE_LOCKED', message);
+  }
+  if (activeLock.mode === 'warn' && typeof process.emitWarning === 'function') {
+    process.emitWarning(message, {
+      type: 'ProcessNameWarning',
+      code: 'TITLE_LOCKED',
+      detail: attempt.stack,
+    });
+  }
+};
+
+/**
+ * Replace process.title with the locking accessor
+ * @throws {ProcessNameError} LOCK_FAILED if process.title cannot be replaced,
+ * or is native and its setter could not be reproduced afterwards
+ */
+const install = () => {
+  const found = findTitleDescriptor();
+  if (found === null) {
+    throw new ProcessNameError(
+      'LOCK_FAILED',
+      'process.title does not exist in this runtime'
+    );
+  }
+  const { descriptor } = found;
+  const native = !descriptor.get && !descriptor.set;
+  if (native && getCmdlineArea() === null) {
+    throw new ProcessNameError(
+      'LOCK_FAILED',
+      'process.title is native here and could only be rewritten through /proc on Linux; replacing it would stop names from reaching the OS'
+    );
+  }
+  let value = native ? descriptor.value : undefined;
+
+  const read = () => (native ? value : descriptor.get?.call(process));
+  const write = (title) => {
+    if (native) {
+      value = emulateTitle(String(title));
+    } else {
+      descriptor.set?.call(process, title);
+    }
+  };
+
+  try {
+    Object.defineProperty(process, 'title', {
+      configurable: true,
+      enumerable: descriptor.enumerable,
+      get: read,
+      set: (title) => {
+        if (activeLock !== null && !internalWrite) {
+          blockAssignment(title, read());
+          return;
+        }
+        write(title);
+      },
+    });
+  } catch (error) {
+    throw new ProcessNameError(
+      'LOCK_FAILED',
+      'process.title cannot be redefined',
+      { cause: error }
+    );
+  }
+  installed = { ...found, native };
+};
+
+/**
+ * Put the original process.title back, where that is possible
+ */
+const uninstall = () => {
+  if (installed === null || installed.native) {
+    return;
+  }
+  if (installed.own) {
+    Object.defineProperty(process, 'title', installed.descriptor);
+  } else {
+    delete process.title;
+  }
+  installed = null;
+};
+
+/**
+ * Assign process.title on behalf of this library, passing through the lock
+ * @param {string} title - The new title
+ */
+export const assignTitle = (title) => {
+  internalWrite = true;
+  try {
+    process.title = title;
+  } finally {
+    internalWrite = false;
+  }
+};
+
+/**
+ * Remove the lock on process.title
+ *
+ * @returns {boolean} Whether a lock was in place
+ */
+export const unlockProcessName = () => {
+  if (activeLock === null) {
+    return false;
+  }
+  activeLock = null;
+  uninstall();
+  return true;
+};
+
+/**
+ * Lock process.title against assignments by other code, such as a
+ * dependency that renames the process. Names set through this library still
+ * apply. Every blocked assignment is recorded in `attempts` with the stack
+ * trace of the code that made it.
+ *
+ * Locking again while locked changes the mode and returns the same lock.
+ *
+ * @param {{mode?: 'reject' | 'ignore' | 'warn'}} [options]
+ * - `mode`: what a blocked assignment does: `'reject'` throws a
+ *   ProcessNameError with code TITLE_LOCKED, `'ignore'` drops it silently,
+ *   `'warn'` (default) drops it and emits a process warning
+ * @returns {{mode: string, attempts: {value: string, stack: string, timestamp: number}[], unlock: () => boolean}}
+ * The lock; `unlock` is the same as unlockProcessName
+ * @throws {TypeError} If mode is unknown
+ * @throws {ProcessNameError} LOCK_FAILED if process.title cannot be
+ * replaced, or is native (Node.js) on a platform other than Linux
+ *
+ * @example
+ * import { lockProcessName, setProcessName } from 'set-process-name';
+ *
+ * await setProcessName('billing-api');
+ * const lock = lockProcessName({ mode: 'warn' });
+ *
+ * // Later: who tried to rename the process?
+ * for (const { value, stack } of lock.attempts) {
+ *   console.log(`Blocked '${value}'\n${stack}`);
+ * }
+ */
+export const lockProcessName = ({ mode = 'warn' } = {}) => {
+  if (!LOCK_MODES.includes(mode)) {
+    throw new TypeError(`Unknown lock mode: ${mode}`);
+  }
+  if (activeLock !== null) {
+    activeLock.mode = mode;
+    return activeLock;
+  }
+  if (installed === null) {
+    install();
+  }
+  activeLock = { mode, attempts: [], unlock: unlockProcessName };
+  return activeLock;
+};
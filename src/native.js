@@ -0,0 +1,496 @@
+/**
+ * @fileoverview Native libc binding for Bun and Deno (Linux only)
+ *
+ * Node.js names the process through libuv, but Bun and Deno need prctl(2)
+ * through FFI. libc is opened once per runtime and shared by the process
+ * name, thread name and readback functions, until the binding is disposed.
+ *
+ * libc is found among glibc and musl (Alpine) names, the library already
+ * mapped into this process, /etc/ld-musl-<arch>.path and `ldd`, unless an
+ * explicit path is given through the `libcPath` option or the
+ * SET_PROCESS_NAME_LIBC environment variable.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
+import { getErrnoName, ProcessNameError } from './errors.js';
+import { isDenoPermissionGranted } from './permissions.js';
+import { readTextFile } from './proc.js';
+
+// prctl options (see prctl(2))
+const PR_SET_NAME = 15;
+const PR_GET_NAME = 16;
+
+// Kernel process name buffer size, including the null terminator
+export const TASK_COMM_LEN = 16;
+
+// Environment variable with an explicit path to libc
+export const LIBC_ENV_VAR = 'SET_PROCESS_NAME_LIBC';
+
+// glibc soname
+const GLIBC_NAME = 'libc.so.6';
+
+// musl's default library path, used when /etc/ld-musl-<arch>.path is missing
+const MUSL_DEFAULT_PATH = ['/lib', '/usr/local/lib', '/usr/lib'];
+
+// Node.js architecture names to the ones musl uses in its file names
+const MUSL_ARCHES = {
+  x64: 'x86_64',
+  arm64: 'aarch64',
+  arm: 'armhf',
+  ia32: 'i386',
+  ppc64: 'ppc64le',
+  s390x: 's390x',
+  riscv64: 'riscv64',
+};
+
+// A libc (or the musl loader, which is musl's libc) in a path or ldd line
+const LIBC_PATTERN =
+  /\/(?:libc(?:\.musl-[\w-]+)?\.so[.\d]*|ld-musl-[\w-]+\.so[.\d]*)$/;
+
+// Well-known symbols for explicit resource management (`using` declarations),
+// with the same fallback TypeScript uses on runtimes that lack them
+export const disposeSymbol = Symbol.dispose ?? Symbol.for('Symbol.dispose');
+export const asyncDisposeSymbol =
+  Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose');
+
+/**
+ * @typedef {Object} NativeBinding
+ * @property {string} libc - Path or soname of the opened libc
+ * @property {string | undefined} libcPath - Explicit path it was opened for
+ * @property {(name: string) => true} setName - prctl(PR_SET_NAME) for the
+ * calling thread; the name must be at most 15 bytes (see truncateProcessName).
+ * Throws a ProcessNameError with the decoded errno (e.g. PRCTL_EPERM) on failure
+ * @property {() => string | null} getName - prctl(PR_GET_NAME) for the
+ * calling thread
+ * @property {() => void} dispose - Close libc; the next use opens it again
+ */
+
+// The open binding, and the pending open on Bun (bun:ffi loads asynchronously)
+let binding = null;
+let opening = null;
+
+/**
+ * Get the libc path set in the SET_PROCESS_NAME_LIBC environment variable
+ * (on Deno only with --allow-env)
+ * @returns {string | null}
+ */
+export const getLibcFromEnv = () => {
+  if (
+    typeof Deno !== 'undefined' &&
+    !isDenoPermissionGranted({ name: 'env', variable: LIBC_ENV_VAR })
+  ) {
+    // Reading it would prompt for permission
+    return null;
+  }
+  try {
+    return globalThis.process?.env[LIBC_ENV_VAR] || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether a file may be looked at: on Deno only with read permission for
+ * it, since checking would otherwise prompt or throw NotCapable
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+const mayRead = (path) =>
+  typeof Deno === 'undefined' ||
+  isDenoPermissionGranted({ name: 'read', path });
+
+/**
+ * Check whether a file exists, treating a file that may not be looked at as
+ * missing
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+const fileExists = (path) => {
+  if (!mayRead(path)) {
+    return false;
+  }
+  try {
+    return existsSync(path);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Find the libc already loaded into this process, from /proc/self/maps
+ * @returns {string | null} Its path
+ */
+const findMappedLibc = () => {
+  const maps = readTextFile('/proc/self/maps');
+  if (maps === null) {
+    return null;
+  }
+  for (const line of maps.split('\n')) {
+    const path = line.slice(line.indexOf('/'));
+    if (line.includes('/') && LIBC_PATTERN.test(path)) {
+      return path;
+    }
+  }
+  return null;
+};
+
+/**
+ * List where musl's libc may be, following /etc/ld-musl-<arch>.path
+ * @returns {string[]} Candidate paths
+ */
+const findMuslCandidates = () => {
+  const arch = MUSL_ARCHES[globalThis.process?.arch];
+  if (!arch) {
+    return [];
+  }
+  // The path file lists directories separated by colons or newlines
+  const pathFilePath = `/etc/ld-musl-${arch}.path`;
+  const pathFile = mayRead(pathFilePath) ? readTextFile(pathFilePath) : null;
+  const dirs = pathFile
+    ? pathFile.split(/[:\n]/).filter(Boolean)
+    : MUSL_DEFAULT_PATH;
+  return [
+    `/lib/ld-musl-${arch}.so.1`,
+    ...dirs.map((dir) => `${dir}/libc.musl-${arch}.so.1`),
+    `libc.musl-${arch}.so.1`,
+  ];
+};
+
+/**
+ * Find libc in the output of `ldd` for the runtime's executable. Slow
+ * (starts a process), so only used when nothing else worked.
+ * @returns {string[]} Candidate paths
+ */
+const findLddCandidates = () => {
+  try {
+    const output = execFileSync('ldd', [globalThis.process.execPath], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 2000,
+    });
+    // Lines look like 'libc.so.6 => /lib/x86_64-linux-gnu/libc.so.6 (0x...)'
+    // or '/lib/ld-musl-x86_64.so.1 (0x...)'
+    return output
+      .split('\n')
+      .map((line) => line.replace(/\s*\(0x[\da-f]+\)\s*$/, ''))
+      .map((line) => line.split('=>').pop().trim())
+      .filter((path) => LIBC_PATTERN.test(path));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * List the libraries to try as libc when no explicit path is given, most
+ * likely first
+ * @returns {string[]}
+ */
+const findLibcCandidates = () => {
+  const candidates = [findMappedLibc(), GLIBC_NAME, ...findMuslCandidates()];
+  return [...new Set(candidates.filter(Boolean))];
+};
+
+/**
+ * Open libc with the first candidate that loads, falling back to `ldd`. An
+ * explicit path (option or environment variable) is the only one tried.
+ * @template T
+ * @param {string | undefined} libcPath - Explicit path to libc
+ * @param {(path: string) => T} open - Opens one library, throwing on failure
+ * @returns {T}
+ */
+const openLibc = (libcPath, open) => {
+  const explicit = libcPath ?? getLibcFromEnv();
+  let lastError;
+  const tryPaths = (paths) => {
+    for (const path of paths) {
+      try {
+        return open(path);
+      } catch (error) {
+        // Deno 2 reports missing --allow-ffi as NotCapable, Deno 1 as PermissionDenied
+        if (
+          error?.name === 'NotCapable' ||
+          error?.name === 'PermissionDenied'
+        ) {
+          throw new ProcessNameError(
+            'FFI_PERMISSION_DENIED',
+            'Calling libc through FFI is not permitted (run with --allow-ffi)',
+            { cause: error }
+          );
+        }
+        lastError = error;
+      }
+    }
+    return null;
+  };
+  const opened = explicit
+    ? tryPaths([explicit])
+    : (tryPaths(findLibcCandidates()) ?? tryPaths(findLddCandidates()));
+  if (opened === null) {
+    throw new ProcessNameError(
+      'LIBC_NOT_FOUND',
+      `Could not open libc${explicit ? ` at ${explicit}` : ''}`,
+      { cause: lastError }
+    );
+  }
+  return opened;
+};
+
+/**
+ * Find the libc that the FFI binding uses or would use, without opening it
+ * @returns {string | null} Its path or soname, or null if none was found
+ */
+export const detectLibc = () => {
+  if (binding) {
+    return binding.libc;
+  }
+  const explicit = getLibcFromEnv();
+  if (explicit) {
+    return explicit;
+  }
+  return findMappedLibc() ?? findMuslCandidates().find(fileExists) ?? null;
+};
+
+/**
+ * Open a library with prctl and, where the libc exports it, __errno_location
+ * for reading errno after a failed call
+ * @template T
+ * @param {(symbols: object) => T} dlopen - Opens the library with the given symbols
+ * @param {object} prctl - Signature of prctl
+ * @param {object} errnoLocation - Signature of __errno_location
+ * @returns {T}
+ */
+const dlopenWithErrno = (dlopen, prctl, errnoLocation) => {
+  try {
+    return dlopen({ prctl, __errno_location: errnoLocation });
+  } catch {
+    return dlopen({ prctl });
+  }
+};
+
+/**
+ * Wrap an opened libc in a binding
+ * @param {string} libc - Path or soname of the library
+ * @param {(option: number, buf: Uint8Array) => number} prctl - Raw prctl call
+ * @param {(() => number) | null} readErrno - Reads the calling thread's errno
+ * (null if the libc does not export __errno_location)
+ * @param {() => void} close - Closes the library
+ * @returns {NativeBinding}
+ */
+const createBinding = (libc, prctl, readErrno, close) => {
+  let closed = false;
+  const dispose = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    if (binding === self) {
+      binding = null;
+    }
+    close();
+  };
+  const getErrno = () => {
+    try {
+      return readErrno?.() ?? undefined;
+    } catch {
+      return undefined;
+    }
+  };
+  const self = {
+    libc,
+    libcPath: undefined,
+    setName: (name) => {
+      let result;
+      try {
+        // PR_SET_NAME accepts up to 16 bytes including the null terminator
+        result = prctl(PR_SET_NAME, new TextEncoder().encode(`${name}\0`));
+      } catch (error) {
+        throw new ProcessNameError('PRCTL_FAILED', 'Could not call prctl', {
+          cause: error,
+        });
+      }
+      if (result === 0) {
+        return true;
+      }
+      // Read right away, before another call can overwrite it
+      const errno = getErrno();
+      const errnoName = errno === undefined ? null : getErrnoName(errno);
+      throw new ProcessNameError(
+        errnoName ? `PRCTL_${errnoName}` : 'PRCTL_FAILED',
+        `prctl(PR_SET_NAME) failed${errno === undefined ? '' : ` with errno ${errnoName ?? errno}`}`,
+        { errno }
+      );
+    },
+    getName: () => {
+      try {
+        const buf = new Uint8Array(TASK_COMM_LEN);
+        return prctl(PR_GET_NAME, buf) === 0
+          ? new TextDecoder().decode(buf.subarray(0, buf.indexOf(0)))
+          : null;
+      } catch {
+        return null;
+      }
+    },
+    dispose,
+    [disposeSymbol]: dispose,
+  };
+  return self;
+};
+
+/**
+ * Open libc via Bun FFI
+ * @param {string} [libcPath] - Explicit path to libc
+ * @returns {Promise<NativeBinding>}
+ */
+const openBunBinding = async (libcPath) => {
+  let ffi;
+  try {
+    ffi = await import('bun:ffi');
+  } catch (error) {
+    throw new ProcessNameError('FFI_UNAVAILABLE', 'Could not load bun:ffi', {
+      cause: error,
+    });
+  }
+  const { dlopen, FFIType, ptr, read } = ffi;
+  return openLibc(libcPath, (path) => {
+    const libc = dlopenWithErrno(
+      (symbols) => dlopen(path, symbols),
+      { args: [FFIType.i32, FFIType.ptr], returns: FFIType.i32 },
+      { args: [], returns: FFIType.ptr }
+    );
+    const errnoLocation = libc.symbols.__errno_location;
+    return createBinding(
+      path,
+      (option, buf) => libc.symbols.prctl(option, ptr(buf)),
+      errnoLocation ? () => read.i32(errnoLocation(), 0) : null,
+      () => libc.close()
+    );
+  });
+};
+
+/**
+ * Open libc via Deno FFI (needs --allow-ffi)
+ * @param {string} [libcPath] - Explicit path to libc
+ * @returns {NativeBinding}
+ */
+const openDenoBinding = (libcPath) =>
+  openLibc(libcPath, (path) => {
+    const libc = dlopenWithErrno(
+      (symbols) => Deno.dlopen(path, symbols),
+      { parameters: ['i32', 'buffer'], result: 'i32' },
+      { parameters: [], result: 'pointer' }
+    );
+    const errnoLocation = libc.symbols.__errno_location;
+    return createBinding(
+      path,
+      (option, buf) => libc.symbols.prctl(option, buf),
+      errnoLocation
+        ? () => new Deno.UnsafePointerView(errnoLocation()).getInt32()
+        : null,
+      () => libc.close()
+    );
+  });
+
+/**
+ * Whether the open binding serves a request for the given libc: any binding
+ * does unless a different explicit path is asked for
+ * @param {string} [libcPath] - Explicit path to libc
+ * @returns {boolean}
+ */
+const isBindingFor = (libcPath) =>
+  binding !== null && (libcPath === undefined || binding.libcPath === libcPath);
+
+/**
+ * Keep a newly opened binding as the shared one, closing the previous one
+ * @param {NativeBinding} opened - The new binding
+ * @param {string} [libcPath] - Explicit path it was opened for
+ * @returns {NativeBinding}
+ */
+const share = (opened, libcPath) => {
+  opened.libcPath = libcPath;
+  if (binding !== opened) {
+    binding?.dispose();
+    binding = opened;
+  }
+  return opened;
+};
+
+/**
+ * Get the shared binding, opening libc on first use
+ * @param {'node' | 'bun' | 'deno' | 'unknown'} runtime - Current runtime
+ * @param {string} [libcPath] - Explicit path to libc, reopening the binding
+ * if it was opened for another library
+ * @returns {Promise<NativeBinding | null>} null if the runtime has no FFI
+ * @throws {ProcessNameError} If libc cannot be opened (LIBC_NOT_FOUND,
+ * FFI_PERMISSION_DENIED, FFI_UNAVAILABLE)
+ */
+export const openNativeBinding = async (runtime, libcPath) => {
+  if (isBindingFor(libcPath) || runtime !== 'bun') {
+    return openNativeBindingSync(runtime, libcPath);
+  }
+  // Calls made while bun:ffi loads share one open
+  if (opening === null || opening.libcPath !== libcPath) {
+    const promise = openBunBinding(libcPath).finally(() => {
+      if (opening?.promise === promise) {
+        opening = null;
+      }
+    });
+    opening = { libcPath, promise };
+  }
+  return share(await opening.promise, libcPath);
+};
+
+/**
+ * Get the shared binding without waiting. On Bun this only returns a
+ * binding that openNativeBinding has already opened.
+ * @param {'node' | 'bun' | 'deno' | 'unknown'} runtime - Current runtime
+ * @param {string} [libcPath] - Explicit path to libc
+ * @returns {NativeBinding | null}
+ * @throws {ProcessNameError} If libc cannot be opened
+ */
+export const openNativeBindingSync = (runtime, libcPath) => {
+  if (isBindingFor(libcPath)) {
+    return binding;
+  }
+  if (runtime !== 'deno') {
+    return null;
+  }
+  return share(openDenoBinding(libcPath), libcPath);
+};
+
+/**
+ * Same as openNativeBinding, resolving to null if libc cannot be opened
+ * @param {'node' | 'bun' | 'deno' | 'unknown'} runtime - Current runtime
+ * @param {string} [libcPath] - Explicit path to libc
+ * @returns {Promise<NativeBinding | null>}
+ */
+export const getNativeBinding = (runtime, libcPath) =>
+  openNativeBinding(runtime, libcPath).catch(() => null);
+
+/**
+ * Same as openNativeBindingSync, returning null if libc cannot be opened
+ * @param {'node' | 'bun' | 'deno' | 'unknown'} runtime - Current runtime
+ * @param {string} [libcPath] - Explicit path to libc
+ * @returns {NativeBinding | null}
+ */
+export const getNativeBindingSync = (runtime, libcPath) => {
+  try {
+    return openNativeBindingSync(runtime, libcPath);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Close the libc that Bun and Deno call prctl through, if it is open. Every
+ * call shares one binding; it is opened again on next use. Meant for
+ * teardown, e.g. in tests that check for leaked handles.
+ *
+ * @example
+ * import { disposeNativeBinding } from 'set-process-name';
+ *
+ * afterAll(() => disposeNativeBinding());
+ */
+export const disposeNativeBinding = () => {
+  binding?.dispose();
+};
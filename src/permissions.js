@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Deno permissions needed to name the process
+ *
+ * On Deno the kernel name is set through FFI, and reading the name back or
+ * rewriting the command line goes through /proc, all behind permissions.
+ * Permissions are only queried, never requested, unless asked to: a request
+ * would prompt the user.
+ */
+
+const PROC_SELF = '/proc/self';
+
+// Deno 2 denies /proc/self without this flag, whatever --allow-read grants
+const ALL_ACCESS_FLAG = '--allow-all';
+
+/**
+ * @typedef {Object} PermissionRequirement
+ * @property {'ffi' | 'read' | 'write' | 'env'} name - Deno permission name
+ * @property {string} [path] - Path the permission is needed for
+ * @property {string} [variable] - Environment variable it is needed for
+ * @property {string} flag - Command line flag that grants it
+ * @property {string} reason - What needs it
+ */
+
+/** @type {PermissionRequirement[]} */
+const LINUX_REQUIREMENTS = [
+  {
+    name: 'ffi',
+    flag: '--allow-ffi',
+    reason: 'Setting the kernel process name with prctl',
+  },
+  {
+    name: 'read',
+    path: PROC_SELF,
+    flag: `--allow-read=${PROC_SELF}`,
+    reason: 'Reading the name back and locating the command line',
+  },
+  {
+    name: 'write',
+    path: PROC_SELF,
+    flag: `--allow-write=${PROC_SELF}`,
+    reason: "Rewriting the command line with mode: 'cmdline'",
+  },
+];
+
+// Deno 1.x only exposes Deno.dlopen with this flag
+const UNSTABLE_FFI_REQUIREMENT = {
+  name: 'ffi',
+  flag: '--unstable-ffi',
+  reason: 'Deno.dlopen is only available with --unstable-ffi',
+};
+
+/**
+ * Turn a requirement into a Deno permission descriptor
+ * @param {PermissionRequirement} requirement - The requirement
+ * @returns {{name: string, path?: string, variable?: string}}
+ */
+const toDescriptor = ({ name, path, variable }) => ({
+  name,
+  ...(path === undefined ? {} : { path }),
+  ...(variable === undefined ? {} : { variable }),
+});
+
+/**
+ * Check whether Deno has a permission without prompting for it
+ * @param {{name: string, path?: string, variable?: string}} descriptor -
+ * Deno permission descriptor (extra properties are ignored)
+ * @returns {boolean} Whether it is already granted
+ */
+export const isDenoPermissionGranted = (descriptor) => {
+  try {
+    return (
+      Deno.permissions.querySync(toDescriptor(descriptor)).state === 'granted'
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Whether this Deno only allows /proc/self with --allow-all (Deno 2 treats
+ * it as a special file system)
+ * @returns {boolean}
+ */
+const procNeedsAllAccess = () => Number.parseInt(Deno.version.deno, 10) >= 2;
+
+/**
+ * Check that /proc/self can really be read. Only called once the read
+ * permission is granted, so it never prompts.
+ * @returns {boolean}
+ */
+const canReadProcSelf = () => {
+  try {
+    Deno.readTextFileSync(`${PROC_SELF}/comm`);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check whether a requirement is met without prompting. A /proc/self
+ * requirement on Deno 2 is only met if /proc/self can really be read, since
+ * a granted --allow-read does not cover it there.
+ * @param {PermissionRequirement} requirement - The requirement
+ * @returns {boolean}
+ */
+const isRequirementMet = (requirement) =>
+  isDenoPermissionGranted(requirement) &&
+  (requirement.flag !== ALL_ACCESS_FLAG || canReadProcSelf());
+
+/**
+ * List the permissions every feature needs (Deno on Linux only; elsewhere
+ * nothing is behind a permission)
+ * @param {string} runtime - Detected runtime
+ * @param {string} platform - Detected platform
+ * @returns {PermissionRequirement[]}
+ */
+export const getRequiredPermissions = (runtime, platform) => {
+  if (runtime !== 'deno' || platform !== 'linux') {
+    return [];
+  }
+  const requirements = [...LINUX_REQUIREMENTS];
+  if (typeof Deno.dlopen !== 'function') {
+    requirements.splice(1, 0, UNSTABLE_FFI_REQUIREMENT);
+  }
+  const allAccess = procNeedsAllAccess();
+  return requirements.map((requirement) =>
+    allAccess && requirement.path === PROC_SELF
+      ? {
+          ...requirement,
+          flag: ALL_ACCESS_FLAG,
+          reason: `${requirement.reason} (Deno 2 only allows ${PROC_SELF} with ${ALL_ACCESS_FLAG})`,
+        }
+      : { ...requirement }
+  );
+};
+
+/**
+ * List the required permissions that are not granted
+ * @param {string} runtime - Detected runtime
+ * @param {string} platform - Detected platform
+ * @returns {PermissionRequirement[]}
+ */
+export const getMissingPermissions = (runtime, platform) => {
+  if (runtime !== 'deno' || platform !== 'linux') {
+    return [];
+  }
+  // --unstable-ffi is only listed when it is missing
+  return getRequiredPermissions(runtime, platform).filter(
+    (requirement) =>
+      requirement.flag === UNSTABLE_FFI_REQUIREMENT.flag ||
+      !isRequirementMet(requirement)
+  );
+};
+
+/**
+ * Ask Deno for the missing permissions, prompting the user where Deno
+ * prompts. --unstable-ffi and --allow-all cannot be requested at run time.
+ * @param {string} runtime - Detected runtime
+ * @param {string} platform - Detected platform
+ * @returns {Promise<void>}
+ */
+export const requestMissingPermissions = async (runtime, platform) => {
+  for (const requirement of getMissingPermissions(runtime, platform)) {
+    if (
+      requirement.flag === UNSTABLE_FFI_REQUIREMENT.flag ||
+      requirement.flag === ALL_ACCESS_FLAG
+    ) {
+      continue;
+    }
+    try {
+      await Deno.permissions.request(toDescriptor(requirement));
+    } catch {
+      // Not grantable here (e.g. no prompt available); stays missing
+    }
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Preload module for named child processes
+ *
+ * Applies the name from the SET_PROCESS_NAME environment variable before the
+ * child's own code runs. Injected by the set-process-name CLI through
+ * `node --import`, `bun --preload` and `deno run --preload`.
+ */
+
+import { setProcessName } from './index.js';
+import { NAME_ENV_VAR } from './spawn.js';
+
+/**
+ * Read and remove the name, so grandchildren do not inherit it
+ * @returns {string | undefined} The name, if set and readable
+ */
+const takeName = () => {
+  try {
+    const name = process.env[NAME_ENV_VAR];
+    delete process.env[NAME_ENV_VAR];
+    return name;
+  } catch {
+    // e.g. Deno without --allow-env
+    return undefined;
+  }
+};
+
+const name = takeName();
+if (name) {
+  await setProcessName(name);
+}
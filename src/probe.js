@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Active probing of every naming mechanism
+ *
+ * getCapabilities only looks at the environment; probeCapabilities really
+ * exercises each mechanism, writing back the value already in place so the
+ * visible name does not change.
+ */
+
+import { ProcessNameError } from './errors.js';
+import { findTitleDescriptor } from './lock.js';
+import { openNativeBinding } from './native.js';
+import { getMissingPermissions } from './permissions.js';
+import {
+  getCmdlineArea,
+  readCmdlineArea,
+  readComm,
+  writeCmdlineArea,
+  writeComm,
+} from './proc.js';
+import { detectPlatform, detectRuntime } from './runtime.js';
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {boolean} available - Whether the mechanism worked
+ * @property {string | null} code - Why it did not, e.g. 'PRCTL_EPERM'
+ * (null if it worked)
+ * @property {string | null} reason - Human-readable description of why it
+ * did not (null if it worked)
+ * @property {number} [errno] - errno value, for failed FFI calls
+ */
+
+/**
+ * Fail a probe unless the platform is Linux
+ * @param {string} platform - Detected platform
+ * @param {string} what - What only exists on Linux
+ */
+const assertLinux = (platform, what) => {
+  if (platform !== 'linux') {
+    throw new ProcessNameError(
+      'UNSUPPORTED_PLATFORM',
+      `${what} only exists on Linux`
+    );
+  }
+};
+
+/**
+ * Fail a probe if Deno lacks a permission it needs, instead of letting
+ * Deno prompt for it
+ * @param {import('./permissions.js').PermissionRequirement[]} missing -
+ * Missing Deno permissions
+ * @param {'ffi' | 'read' | 'write'} name - Permission the probe needs
+ */
+const assertPermission = (missing, name) => {
+  const requirement = missing.find((candidate) => candidate.name === name);
+  if (requirement) {
+    throw new ProcessNameError(
+      name === 'ffi' ? 'FFI_PERMISSION_DENIED' : 'PROC_PERMISSION_DENIED',
+      `Deno needs ${requirement.flag}`
+    );
+  }
+};
+
+/**
+ * process.title: checked without assigning it, since assigning even the
+ * current value makes Node.js cut the command line down to argv[0]
+ */
+const probeTitle = () => {
+  if (typeof process === 'undefined' || typeof process.title !== 'string') {
+    throw new ProcessNameError(
+      'TITLE_READONLY',
+      'process.title does not exist in this runtime'
+    );
+  }
+  const descriptor = findTitleDescriptor()?.descriptor;
+  if (descriptor?.set || descriptor?.writable) {
+    return;
+  }
+  throw new ProcessNameError(
+    'TITLE_READONLY',
+    'process.title cannot be assigned'
+  );
+};
+
+/**
+ * prctl through FFI: PR_GET_NAME, then PR_SET_NAME with the same name
+ * @param {{runtime: string, platform: string, missing: object[], libcPath: string | undefined}} context
+ */
+const probePrctl = async ({ runtime, platform, missing, libcPath }) => {
+  assertLinux(platform, 'prctl');
+  if (runtime !== 'bun' && runtime !== 'deno') {
+    throw new ProcessNameError(
+      'UNSUPPORTED_RUNTIME',
+      'prctl is only called through FFI on Bun and Deno; Node.js sets the kernel name with process.title'
+    );
+  }
+  assertPermission(missing, 'ffi');
+  const binding = await openNativeBinding(runtime, libcPath);
+  const name = binding.getName();
+  if (name === null) {
+    throw new ProcessNameError(
+      'PRCTL_FAILED',
+      'prctl(PR_GET_NAME) could not read the name'
+    );
+  }
+  binding.setName(name);
+};
+
+/**
+ * /proc/self/comm: read it, then write the same value back
+ * @param {{platform: string, missing: object[]}} context
+ */
+const probeComm = ({ platform, missing }) => {
+  assertLinux(platform, '/proc/self/comm');
+  assertPermission(missing, 'read');
+  assertPermission(missing, 'write');
+  const comm = readComm();
+  if (comm === null) {
+    throw new ProcessNameError(
+      'COMM_UNAVAILABLE',
+      'Could not read /proc/self/comm'
+    );
+  }
+  writeComm(comm);
+};
+
+/**
+ * Command line: read the argument area, then write the same bytes back
+ * @param {{platform: string, missing: object[]}} context
+ */
+const probeCmdline = ({ platform, missing }) => {
+  assertLinux(platform, 'The command line in /proc/self/cmdline');
+  assertPermission(missing, 'read');
+  assertPermission(missing, 'write');
+  const area = getCmdlineArea();
+  const bytes = area && readCmdlineArea();
+  if (!bytes) {
+    throw new ProcessNameError(
+      'CMDLINE_UNAVAILABLE',
+      area
+        ? 'Could not read the command line through /proc/self/mem'
+        : 'Could not locate the command line in /proc/self/stat'
+    );
+  }
+  writeCmdlineArea(bytes, area);
+};
+
+/**
+ * Run one probe
+ * @param {() => unknown} probe - Throws to report the mechanism unavailable
+ * @returns {Promise<ProbeResult>}
+ */
+const runProbe = async (probe) => {
+  try {
+    await probe();
+    return { available: true, code: null, reason: null };
+  } catch (error) {
+    const result = {
+      available: false,
+      code: typeof error?.code === 'string' ? error.code : 'BACKEND_FAILED',
+      reason: error?.message ?? String(error),
+    };
+    if (typeof error?.errno === 'number') {
+      result.errno = error.errno;
+    }
+    return result;
+  }
+};
+
+/**
+ * Exercise every naming mechanism without changing the visible name, and
+ * report which ones work here and why the others do not. Unlike
+ * getCapabilities, this opens libc, calls prctl and writes to /proc; on
+ * Deno, mechanisms behind a missing permission are reported without
+ * prompting for it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.libcPath] - Path or soname of the C library to
+ * probe prctl through (Bun and Deno on Linux)
+ * @returns {Promise<{title: ProbeResult, prctl: ProbeResult, comm: ProbeResult, cmdline: ProbeResult, runtime: string, platform: string}>}
+ * @throws {TypeError} If libcPath is not a string
+ *
+ * @example
+ * import { probeCapabilities } from 'set-process-name';
+ *
+ * const { prctl } = await probeCapabilities();
+ * if (!prctl.available) {
+ *   console.warn(`prctl unavailable (${prctl.code}): ${prctl.reason}`);
+ * }
+ */
+export const probeCapabilities = async ({ libcPath } = {}) => {
+  if (libcPath !== undefined && typeof libcPath !== 'string') {
+    throw new TypeError('libc path must be a string');
+  }
+  const runtime = detectRuntime();
+  const platform = detectPlatform();
+  const context = {
+    runtime,
+    platform,
+    missing: getMissingPermissions(runtime, platform),
+    libcPath,
+  };
+  return {
+    title: await runProbe(probeTitle),
+    prctl: await runProbe(() => probePrctl(context)),
+    comm: await runProbe(() => probeComm(context)),
+    cmdline: await runProbe(() => probeCmdline(context)),
+    runtime,
+    platform,
+  };
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Linux /proc access: the kernel name in /proc/self/comm and
+ * the command line arguments behind /proc/self/cmdline
+ *
+ * Every reader returns null where /proc is missing or unreadable (other
+ * platforms, or Deno without --allow-read).
+ */
+
+import {
+  closeSync,
+  openSync,
+  readFileSync,
+  readSync,
+  writeFileSync,
+  writeSync,
+} from 'node:fs';
+
+import { ProcessNameError } from './errors.js';
+import { detectPlatform } from './runtime.js';
+import { fitProcessName } from './truncate.js';
+
+/**
+ * Read a text file, returning null if it is missing or unreadable
+ * (e.g. no /proc filesystem, or Deno without --allow-read)
+ * @param {string} path - File path
+ * @returns {string | null} File contents
+ */
+export const readTextFile = (path) => {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the kernel process name from /proc/self/comm (Linux only)
+ * @param {string} [path='/proc/self/comm'] - comm file to read
+ * (/proc/thread-self/comm for the calling thread)
+ * @returns {string | null} The comm value without the trailing newline
+ */
+export const readComm = (path = '/proc/self/comm') => {
+  if (detectPlatform() !== 'linux') {
+    return null;
+  }
+  const comm = readTextFile(path);
+  return comm === null ? null : comm.replace(/\n$/, '');
+};
+
+/**
+ * Read the command line from /proc/self/cmdline (Linux only)
+ * Arguments are joined with spaces, the same way `ps -ef` shows them.
+ * @returns {string | null} The command line
+ */
+export const readCmdline = () => {
+  if (detectPlatform() !== 'linux') {
+    return null;
+  }
+  const cmdline = readTextFile('/proc/self/cmdline');
+  return cmdline === null
+    ? null
+    : cmdline.replace(/\0+$/, '').split('\0').join(' ');
+};
+
+/**
+ * Write the kernel process name through /proc/self/comm (Linux only)
+ * @param {string} name - Process name (at most 15 bytes)
+ * @param {string} [path='/proc/self/comm'] - comm file to write
+ * (/proc/thread-self/comm for the calling thread)
+ * @returns {true}
+ * @throws {ProcessNameError} COMM_WRITE_FAILED if the file cannot be written
+ */
+export const writeComm = (name, path = '/proc/self/comm') => {
+  try {
+    writeFileSync(path, name);
+    return true;
+  } catch (error) {
+    throw new ProcessNameError(
+      'COMM_WRITE_FAILED',
+      `Could not write ${path}: ${error.message}`,
+      { cause: error }
+    );
+  }
+};
+
+// Fields of /proc/self/stat (1-based, see proc(5)) with the bounds of the
+// memory holding the command line arguments
+const STAT_ARG_START = 48;
+const STAT_ARG_END = 49;
+
+/**
+ * Locate the memory holding the original command line arguments, which is
+ * what /proc/self/cmdline reports (Linux 3.5+)
+ * @returns {{start: number, size: number} | null} Address and size in bytes
+ * of the argument area, or null if unavailable
+ */
+export const getCmdlineArea = () => {
+  if (detectPlatform() !== 'linux') {
+    return null;
+  }
+  const stat = readTextFile('/proc/self/stat');
+  if (stat === null) {
+    return null;
+  }
+  // The comm field (2) may contain spaces and parentheses: count from after it
+  const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+  const start = Number(fields[STAT_ARG_START - 3]);
+  const end = Number(fields[STAT_ARG_END - 3]);
+  if (!(start > 0 && end > start)) {
+    return null;
+  }
+  return { start, size: end - start };
+};
+
+/**
+ * Get the maximum length of a title written with mode: 'cmdline'
+ * @returns {number | null} Maximum length in bytes of UTF-8, or null if
+ * the command line cannot be rewritten
+ */
+export const getCmdlineMaxLength = () => {
+  const area = getCmdlineArea();
+  // The last byte stays a null terminator
+  return area ? area.size - 1 : null;
+};
+
+// Original contents of the argument area. Captured at startup, since
+// Node.js overwrites it on every process.title assignment.
+let originalCmdline = null;
+
+/**
+ * Save the current contents of the argument area, for restoreCmdline
+ */
+export const captureCmdline = () => {
+  originalCmdline = readCmdlineArea();
+};
+
+/**
+ * Read the current contents of the argument area through /proc/self/mem
+ * @returns {Uint8Array | null} The raw argument area, or null if unavailable
+ */
+export const readCmdlineArea = () => {
+  const area = getCmdlineArea();
+  if (!area) {
+    return null;
+  }
+  let fd;
+  try {
+    fd = openSync('/proc/self/mem', 'r');
+    const bytes = new Uint8Array(area.size);
+    readSync(fd, bytes, 0, area.size, area.start);
+    return bytes;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      closeSync(fd);
+    }
+  }
+};
+
+/**
+ * Overwrite the argument area through /proc/self/mem
+ * @param {Uint8Array} bytes - New contents, exactly the size of the area
+ * @param {{start: number, size: number}} area - The argument area
+ * @throws {ProcessNameError} CMDLINE_WRITE_FAILED if the write fails
+ */
+export const writeCmdlineArea = (bytes, area) => {
+  // Fall back to saving the original arguments right before the first
+  // overwrite if they could not be captured at startup
+  if (originalCmdline === null) {
+    originalCmdline = readCmdlineArea();
+  }
+
+  let fd;
+  try {
+    // Make sure argv is materialized before its memory is overwritten
+    void process.argv;
+
+    fd = openSync('/proc/self/mem', 'r+');
+    writeSync(fd, bytes, 0, area.size, area.start);
+  } catch (error) {
+    throw new ProcessNameError(
+      'CMDLINE_WRITE_FAILED',
+      'Could not overwrite the command line through /proc/self/mem',
+      { cause: error }
+    );
+  } finally {
+    if (fd !== undefined) {
+      closeSync(fd);
+    }
+  }
+};
+
+/**
+ * Rewrite what /proc/self/cmdline reports (and so what `ps -ef` shows) by
+ * overwriting the original argument strings in place through /proc/self/mem,
+ * like setproctitle(3). The title is fitted to the size of the original
+ * arguments; the rest of the area is filled with null bytes.
+ * @param {string} name - The desired title
+ * @param {string} [fit='truncate-end'] - How to fit a title that is too long
+ * @returns {true}
+ * @throws {ProcessNameError} CMDLINE_UNAVAILABLE if the argument area cannot
+ * be found, CMDLINE_WRITE_FAILED if it cannot be written
+ */
+export const writeCmdline = (name, fit = 'truncate-end') => {
+  const area = getCmdlineArea();
+  if (!area) {
+    throw new ProcessNameError(
+      'CMDLINE_UNAVAILABLE',
+      'Could not locate the command line in /proc/self/stat'
+    );
+  }
+  const bytes = new Uint8Array(area.size);
+  new TextEncoder().encodeInto(
+    fitProcessName(name, { fit, maxBytes: area.size - 1 }).name,
+    bytes
+  );
+  writeCmdlineArea(bytes, area);
+  return true;
+};
+
+/**
+ * Put the original argument strings back into the argument area
+ * @returns {boolean | null} Whether the operation succeeded
+ * (null if the original arguments were never captured)
+ */
+export const restoreCmdline = () => {
+  const area = getCmdlineArea();
+  if (originalCmdline === null || !area) {
+    return null;
+  }
+  try {
+    writeCmdlineArea(originalCmdline, area);
+    return true;
+  } catch {
+    return false;
+  }
+};
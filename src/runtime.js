@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Detection of the JavaScript runtime and operating system
+ */
+
+/**
+ * Detect the current JavaScript runtime
+ * @returns {'node' | 'bun' | 'deno' | 'unknown'}
+ */
+export const detectRuntime = () => {
+  if (typeof Deno !== 'undefined') {
+    return 'deno';
+  }
+  if (
+    typeof process !== 'undefined' &&
+    process.versions &&
+    process.versions.bun
+  ) {
+    return 'bun';
+  }
+  if (
+    typeof process !== 'undefined' &&
+    process.versions &&
+    process.versions.node
+  ) {
+    return 'node';
+  }
+  return 'unknown';
+};
+
+/**
+ * Detect the current operating system
+ * @returns {'linux' | 'darwin' | 'win32' | 'unknown'}
+ */
+export const detectPlatform = () => {
+  // Try Deno first
+  if (typeof Deno !== 'undefined' && Deno.build) {
+    const os = Deno.build.os;
+    if (os === 'linux') {
+      return 'linux';
+    }
+    if (os === 'darwin') {
+      return 'darwin';
+    }
+    if (os === 'windows') {
+      return 'win32';
+    }
+    return 'unknown';
+  }
+
+  // Try Node.js/Bun
+  if (typeof process !== 'undefined' && process.platform) {
+    return process.platform;
+  }
+
+  return 'unknown';
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Launch child processes under a chosen name
+ *
+ * Non-JavaScript programs get the name as argv[0]. Node.js, Bun and Deno
+ * children would override that with their own title, so they also preload
+ * this library, which applies the name from inside the child.
+ */
+
+import { fork, spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+/** Environment variable the preload module reads the name from */
+export const NAME_ENV_VAR = 'SET_PROCESS_NAME';
+
+// Preload module that applies NAME_ENV_VAR inside JavaScript children
+const preloadUrl = import.meta.resolve('./preload.js');
+
+// Deno subcommands that run a script and accept --preload
+const DENO_RUN_SUBCOMMANDS = ['run', 'serve', 'test', 'bench'];
+
+/**
+ * Detect which JavaScript runtime a command starts, from its file name
+ * @param {string} command - Command to run
+ * @returns {'node' | 'bun' | 'deno' | null} The runtime, or null for other programs
+ */
+export const detectCommandRuntime = (command) => {
+  const executable = command
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\.exe$/i, '');
+  if (executable === 'node' || executable === 'nodejs') {
+    return 'node';
+  }
+  if (executable === 'bun') {
+    return 'bun';
+  }
+  if (executable === 'deno') {
+    return 'deno';
+  }
+  return null;
+};
+
+/**
+ * Insert the preload module into the arguments of a JavaScript runtime
+ * @param {'node' | 'bun' | 'deno'} runtime - Runtime the command starts
+ * @param {string[]} args - Original arguments
+ * @returns {string[]} Arguments that preload this library
+ */
+const withPreload = (runtime, args) => {
+  if (runtime === 'node') {
+    return ['--import', preloadUrl, ...args];
+  }
+  const preloadPath = fileURLToPath(preloadUrl);
+  if (runtime === 'bun') {
+    return ['--preload', preloadPath, ...args];
+  }
+  // Deno takes --preload after the subcommand (`deno run --preload x main.ts`)
+  if (DENO_RUN_SUBCOMMANDS.includes(args[0])) {
+    return [args[0], '--preload', preloadPath, ...args.slice(1)];
+  }
+  return ['--preload', preloadPath, ...args];
+};
+
+/**
+ * Validate a process name option
+ * @param {unknown} name - The desired process name
+ */
+const assertName = (name) => {
+  if (typeof name !== 'string') {
+    throw new TypeError('Process name must be a string');
+  }
+};
+
+/**
+ * Add the name for the preload module to the child's environment
+ * @param {object} options - Spawn options
+ * @param {string} name - The desired process name
+ * @returns {Record<string, string | undefined>} The child's environment
+ */
+const withNameEnv = (options, name) => ({
+  ...(options.env ?? process.env),
+  [NAME_ENV_VAR]: name,
+});
+
+/**
+ * Prepare the arguments and spawn options that start a command under a name
+ *
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @param {string} name - The desired process name
+ * @param {object} [options] - child_process.spawn options
+ * @returns {{args: string[], options: object, method: 'preload' | 'argv0'}}
+ * Arguments and options for child_process.spawn, and how the name is applied
+ */
+const prepareNamedSpawn = (command, args, name, options = {}) => {
+  if (typeof command !== 'string') {
+    throw new TypeError('Command must be a string');
+  }
+  assertName(name);
+
+  const runtime = detectCommandRuntime(command);
+  const spawnOptions = { ...options, argv0: name };
+  if (runtime === null) {
+    return { args, options: spawnOptions, method: 'argv0' };
+  }
+
+  spawnOptions.env = withNameEnv(options, name);
+  return {
+    args: withPreload(runtime, args),
+    options: spawnOptions,
+    method: 'preload',
+  };
+};
+
+/**
+ * Record on the child how it was named
+ * @param {import('node:child_process').ChildProcess} child - The child
+ * @param {string} name - The desired process name
+ * @param {'preload' | 'argv0'} method - How the name is applied
+ * @returns {import('node:child_process').ChildProcess} The same child
+ */
+const markNamed = (child, name, method) => {
+  child.processName = { name, method };
+  return child;
+};
+
+/**
+ * child_process.spawn that starts the child under a chosen name from the
+ * moment it starts
+ *
+ * Node.js, Bun and Deno children (detected from the command) preload this
+ * library, which applies the name inside the child with setProcessName.
+ * Other programs get the name as argv[0], which `ps -ef` shows; their
+ * kernel name stays the executable's.
+ *
+ * @param {string} command - Command to run
+ * @param {string[]} [args] - Command arguments
+ * @param {{name: string} & import('node:child_process').SpawnOptions} options
+ * - `name` plus child_process.spawn options
+ * @returns {import('node:child_process').ChildProcess & {processName: {name: string, method: 'preload' | 'argv0'}}}
+ * The child, with `processName` telling which name was applied and how
+ *
+ * @example
+ * import { spawnNamed } from 'set-process-name';
+ *
+ * const child = spawnNamed('node', ['worker.js'], { name: 'img-worker' });
+ * console.log(child.processName); // { name: 'img-worker', method: 'preload' }
+ */
+export const spawnNamed = (command, args = [], options = {}) => {
+  if (!Array.isArray(args)) {
+    return spawnNamed(command, [], args);
+  }
+  const { name, ...spawnOptions } = options;
+  const prepared = prepareNamedSpawn(command, args, name, spawnOptions);
+  return markNamed(
+    spawn(command, prepared.args, prepared.options),
+    name,
+    prepared.method
+  );
+};
+
+/**
+ * child_process.fork that starts the Node.js (or Bun) child under a chosen
+ * name, by preloading this library in the child
+ *
+ * @param {string} modulePath - Module to run in the child
+ * @param {string[]} [args] - Module arguments
+ * @param {{name: string} & import('node:child_process').ForkOptions} options
+ * - `name` plus child_process.fork options
+ * @returns {import('node:child_process').ChildProcess & {processName: {name: string, method: 'preload' | 'argv0'}}}
+ * The child, with `processName` telling which name was applied and how
+ *
+ * @example
+ * import { forkNamed } from 'set-process-name';
+ *
+ * const child = forkNamed('./worker.js', [], { name: 'queue-worker' });
+ */
+export const forkNamed = (modulePath, args = [], options = {}) => {
+  if (!Array.isArray(args)) {
+    return forkNamed(modulePath, [], args);
+  }
+  const { name, ...forkOptions } = options;
+  assertName(name);
+
+  const runtime = detectCommandRuntime(
+    forkOptions.execPath ?? process.execPath
+  );
+  const execArgv = forkOptions.execArgv ?? process.execArgv;
+  const method = runtime === null ? 'argv0' : 'preload';
+  const child = fork(modulePath, args, {
+    ...forkOptions,
+    argv0: name,
+    ...(runtime !== null && {
+      execArgv: withPreload(runtime, execArgv),
+      env: withNameEnv(forkOptions, name),
+    }),
+  });
+  return markNamed(child, name, method);
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Fitting names into UTF-8 byte budgets
+ */
+
+import { TASK_COMM_LEN } from './native.js';
+
+// Lazily created grapheme segmenter (Intl.Segmenter may be missing in small-icu builds)
+let graphemeSegmenter;
+
+/**
+ * Split a string into grapheme clusters, falling back to code points
+ * @param {string} text - Text to split
+ * @returns {string[]} The grapheme clusters
+ */
+const splitGraphemes = (text) => {
+  if (graphemeSegmenter === undefined) {
+    graphemeSegmenter =
+      typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+        ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+        : null;
+  }
+  if (!graphemeSegmenter) {
+    return Array.from(text);
+  }
+  return Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Size of a text in bytes of UTF-8
+ * @param {string} text - The text
+ * @returns {number}
+ */
+const byteLength = (text) => encoder.encode(text).length;
+
+/**
+ * Take the leading graphemes that fit into a byte budget
+ * @param {string[]} graphemes - Grapheme clusters
+ * @param {number} maxBytes - Byte budget
+ * @returns {string}
+ */
+const takeHead = (graphemes, maxBytes) => {
+  let head = '';
+  let bytes = 0;
+  for (const grapheme of graphemes) {
+    bytes += byteLength(grapheme);
+    if (bytes > maxBytes) {
+      break;
+    }
+    head += grapheme;
+  }
+  return head;
+};
+
+/**
+ * Take the trailing graphemes that fit into a byte budget
+ * @param {string[]} graphemes - Grapheme clusters
+ * @param {number} maxBytes - Byte budget
+ * @returns {string}
+ */
+const takeTail = (graphemes, maxBytes) => {
+  let tail = '';
+  let bytes = 0;
+  for (let index = graphemes.length - 1; index >= 0; index--) {
+    bytes += byteLength(graphemes[index]);
+    if (bytes > maxBytes) {
+      break;
+    }
+    tail = graphemes[index] + tail;
+  }
+  return tail;
+};
+
+/**
+ * Truncate a name to a UTF-8 byte budget without splitting a code point or
+ * a grapheme cluster (e.g. an emoji with modifiers or a letter with accents)
+ *
+ * @param {string} name - The name to truncate
+ * @param {number} [maxBytes=15] - Byte budget, 15 for the Linux kernel name
+ * @returns {{name: string, truncated: boolean}} The truncated name and
+ * whether anything was cut off
+ *
+ * @example
+ * import { truncateProcessName } from 'set-process-name';
+ *
+ * truncateProcessName('сервис-платежей');
+ * // { name: 'сервис-п', truncated: true }
+ */
+export const truncateProcessName = (name, maxBytes = TASK_COMM_LEN - 1) => {
+  if (typeof name !== 'string') {
+    throw new TypeError('Process name must be a string');
+  }
+  if (byteLength(name) <= maxBytes) {
+    return { name, truncated: false };
+  }
+  return { name: takeHead(splitGraphemes(name), maxBytes), truncated: true };
+};
+
+// Marks where ellipsis-middle cut the name out
+const ELLIPSIS = '…';
+
+// A trailing instance id kept by keep-suffix: digits, optionally after a
+// separator (e.g. '-12', '#3', '.7')
+const INSTANCE_ID = /[-_.:#@ ]?\d+$/;
+
+// Separators between the words abbreviate shortens, kept by split()
+const WORD_SEPARATORS = /([^\p{L}\p{N}]+)/u;
+
+// Vowels abbreviate drops, except as the first letter of a word
+const INNER_VOWELS = /(?<=.)[aeiou]/giu;
+
+/**
+ * Shorten words until the name fits: first drop the inner vowels of each
+ * word in turn, then cut each word down to its first letter. Words with
+ * digits (e.g. instance ids) are kept.
+ * @param {string} name - The name
+ * @param {number} maxBytes - Byte budget
+ * @returns {string}
+ */
+const abbreviate = (name, maxBytes) => {
+  const parts = name.split(WORD_SEPARATORS);
+  // Even indexes hold words, odd ones separators
+  const words = parts
+    .map((part, index) => index)
+    .filter((index) => index % 2 === 0 && /^\p{L}+$/u.test(parts[index]));
+  const shorten = [
+    (word) => word.replace(INNER_VOWELS, ''),
+    (word) => splitGraphemes(word)[0],
+  ];
+  for (const shortenWord of shorten) {
+    for (const index of words) {
+      parts[index] = shortenWord(parts[index]);
+      if (byteLength(parts.join('')) <= maxBytes) {
+        return parts.join('');
+      }
+    }
+  }
+  return takeHead(splitGraphemes(parts.join('')), maxBytes);
+};
+
+/**
+ * Ways of fitting a name that is too long, by fit option
+ * @type {Record<string, (name: string, maxBytes: number) => string>}
+ */
+const fitters = {
+  'truncate-end': (name, maxBytes) => takeHead(splitGraphemes(name), maxBytes),
+  'truncate-start': (name, maxBytes) =>
+    takeTail(splitGraphemes(name), maxBytes),
+  'ellipsis-middle': (name, maxBytes) => {
+    const budget = maxBytes - byteLength(ELLIPSIS);
+    const graphemes = splitGraphemes(name);
+    if (budget < 2) {
+      return takeHead(graphemes, maxBytes);
+    }
+    const head = takeHead(graphemes, Math.ceil(budget / 2));
+    return head + ELLIPSIS + takeTail(graphemes, budget - byteLength(head));
+  },
+  'keep-suffix': (name, maxBytes) => {
+    const suffix = name.match(INSTANCE_ID)?.[0] ?? '';
+    const suffixBytes = byteLength(suffix);
+    if (suffix === '' || suffixBytes >= maxBytes) {
+      return takeHead(splitGraphemes(name), maxBytes);
+    }
+    const head = splitGraphemes(name.slice(0, -suffix.length));
+    return takeHead(head, maxBytes - suffixBytes) + suffix;
+  },
+  abbreviate,
+};
+
+/** Valid values of the fit option */
+export const FIT_STRATEGIES = Object.keys(fitters);
+
+/**
+ * Fit a name into a UTF-8 byte budget with a chosen strategy, without
+ * splitting a code point or a grapheme cluster. Names that fit are
+ * returned unchanged.
+ *
+ * - `'truncate-end'` (default): keep the start
+ * - `'truncate-start'`: keep the end
+ * - `'ellipsis-middle'`: keep both ends around a `…`
+ * - `'keep-suffix'`: truncate the start but keep a trailing instance id
+ *   such as `-12`
+ * - `'abbreviate'`: drop inner vowels, then shorten words to their first
+ *   letter, keeping words with digits
+ *
+ * @param {string} name - The name to fit
+ * @param {{fit?: 'truncate-end' | 'truncate-start' | 'ellipsis-middle' | 'keep-suffix' | 'abbreviate', maxBytes?: number}} [options]
+ * - `fit`: the strategy; `maxBytes` (default 15): the byte budget
+ * @returns {{name: string, truncated: boolean}} The fitted name and whether
+ * it had to be shortened
+ * @throws {TypeError} If name is not a string or fit is unknown
+ *
+ * @example
+ * import { fitProcessName } from 'set-process-name';
+ *
+ * fitProcessName('payments-worker-12', { fit: 'keep-suffix' });
+ * // { name: 'payments-wor-12', truncated: true }
+ */
+export const fitProcessName = (
+  name,
+  { fit = 'truncate-end', maxBytes = TASK_COMM_LEN - 1 } = {}
+) => {
+  if (typeof name !== 'string') {
+    throw new TypeError('Process name must be a string');
+  }
+  if (!Object.hasOwn(fitters, fit)) {
+    throw new TypeError(`Unknown fit strategy: ${fit}`);
+  }
+  if (byteLength(name) <= maxBytes) {
+    return { name, truncated: false };
+  }
+  return { name: fitters[fit](name, maxBytes), truncated: true };
+};
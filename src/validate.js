@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Character policy for process names
+ *
+ * A name must not be empty and must not contain control characters: C0
+ * controls (U+0000-U+001F, including NUL, tab and newline), DEL (U+007F),
+ * C1 controls (U+0080-U+009F) and the line and paragraph separators
+ * (U+2028, U+2029). NUL cuts the kernel name short; the others break the
+ * one-line-per-process output of ps and top.
+ */
+
+import { InvalidProcessNameError } from './errors.js';
+
+/** Valid values of the onInvalid option */
+export const ON_INVALID = ['throw', 'sanitize', 'ignore'];
+
+/**
+ * Whether a code point is a control character the policy forbids
+ * @param {number} codePoint - The code point
+ * @returns {boolean}
+ */
+const isControlCharacter = (codePoint) =>
+  codePoint <= 0x1f ||
+  (codePoint >= 0x7f && codePoint <= 0x9f) ||
+  codePoint === 0x2028 ||
+  codePoint === 0x2029;
+
+/**
+ * Format a code point the way Unicode charts do
+ * @param {number} codePoint - The code point
+ * @returns {string} e.g. 'U+000A'
+ */
+const formatCodePoint = (codePoint) =>
+  `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+
+/**
+ * Check a name against the character policy
+ *
+ * @param {string} name - The name to check
+ * @param {string} [label='Process name'] - What the name is, for the message
+ * @returns {InvalidProcessNameError | null} Why the name is invalid, or null
+ * if it is valid
+ */
+const findViolation = (name, label = 'Process name') => {
+  if (name === '') {
+    return new InvalidProcessNameError(
+      'EMPTY_NAME',
+      `${label} must not be empty`,
+      name
+    );
+  }
+  let index = 0;
+  for (const char of name) {
+    const codePoint = char.codePointAt(0);
+    if (isControlCharacter(codePoint)) {
+      return new InvalidProcessNameError(
+        'CONTROL_CHARACTER',
+        `${label} contains the control character ${formatCodePoint(codePoint)} at index ${index}`,
+        name
+      );
+    }
+    index += char.length;
+  }
+  return null;
+};
+
+/**
+ * Check that a name follows the character policy: not empty, and without
+ * control characters (C0, DEL, C1, U+2028 and U+2029)
+ *
+ * @param {string} name - The name to check
+ * @returns {string} The name
+ * @throws {InvalidProcessNameError} If the name breaks the policy
+ *
+ * @example
+ * import { validateProcessName } from 'set-process-name';
+ *
+ * validateProcessName(`job: ${jobName}`); // throws if jobName has a newline
+ */
+export const validateProcessName = (name) => {
+  if (typeof name !== 'string') {
+    throw new TypeError('Process name must be a string');
+  }
+  const violation = findViolation(name);
+  if (violation) {
+    throw violation;
+  }
+  return name;
+};
+
+/**
+ * Make a name follow the character policy: every run of control characters
+ * becomes a single space, except at the start and end of the name where it
+ * is dropped. Valid names are returned unchanged.
+ *
+ * @param {string} name - The name to sanitize
+ * @returns {string} The sanitized name, possibly empty
+ *
+ * @example
+ * import { sanitizeProcessName } from 'set-process-name';
+ *
+ * sanitizeProcessName('import\n\tjob 42\n'); // 'import job 42'
+ */
+export const sanitizeProcessName = (name) => {
+  if (typeof name !== 'string') {
+    throw new TypeError('Process name must be a string');
+  }
+  let sanitized = '';
+  let pendingSpace = false;
+  for (const char of name) {
+    if (isControlCharacter(char.codePointAt(0))) {
+      pendingSpace = sanitized !== '';
+      continue;
+    }
+    if (pendingSpace) {
+      sanitized += ' ';
+      pendingSpace = false;
+    }
+    sanitized += char;
+  }
+  return sanitized;
+};
+
+/**
+ * Apply the onInvalid policy to one name
+ * @param {string} name - The name
+ * @param {'throw' | 'sanitize' | 'ignore'} onInvalid - The policy
+ * @param {string} [label] - What the name is, for the message
+ * @returns {{name: string, sanitized: boolean, error: InvalidProcessNameError | null}}
+ * The name to apply, or the error if it must not be applied
+ * @throws {InvalidProcessNameError} With onInvalid: 'throw'
+ */
+const applyPolicy = (name, onInvalid, label) => {
+  const violation = findViolation(name, label);
+  if (violation === null) {
+    return { name, sanitized: false, error: null };
+  }
+  if (onInvalid === 'throw') {
+    throw violation;
+  }
+  if (onInvalid === 'sanitize') {
+    const sanitized = sanitizeProcessName(name);
+    // Nothing left to apply: reject it like 'ignore' does
+    if (sanitized !== '') {
+      return { name: sanitized, sanitized: true, error: null };
+    }
+  }
+  return { name, sanitized: false, error: violation };
+};
+
+/**
+ * Apply the onInvalid policy to the name and the comm option of a
+ * setProcessName call
+ *
+ * @param {string} name - The requested process name
+ * @param {string | undefined} comm - The requested kernel name, if any
+ * @param {'throw' | 'sanitize' | 'ignore'} onInvalid - The policy
+ * @returns {{name: string, comm: string, sanitized: boolean, error: InvalidProcessNameError | null}}
+ * The names to apply and whether either was sanitized, or the error if the
+ * call must not apply anything
+ * @throws {InvalidProcessNameError} With onInvalid: 'throw'
+ */
+export const applyNamePolicy = (name, comm, onInvalid) => {
+  const title = applyPolicy(name, onInvalid);
+  const kernel =
+    comm === undefined
+      ? title
+      : applyPolicy(comm, onInvalid, 'Kernel process name (comm)');
+  return {
+    name: title.name,
+    comm: kernel.name,
+    sanitized: title.sanitized || kernel.sanitized,
+    error: title.error ?? kernel.error,
+  };
+};
@@ -0,0 +1,239 @@
+/**
+ * Tests for the naming backend registry
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  registerBackend,
+  unregisterBackend,
+  setBackendOrder,
+  getBackendOrder,
+  setProcessName,
+  setProcessNameSync,
+} from '../src/index.js';
+
+/**
+ * Create a backend that records the names it is given
+ * @param {string} id - Backend id
+ * @param {Partial<import('../src/backends.js').Backend>} [overrides]
+ * @returns {{backend: object, calls: string[]}}
+ */
+const createRecordingBackend = (id, overrides = {}) => {
+  const calls = [];
+  const backend = {
+    id,
+    isAvailable: () => true,
+    apply: (name) => {
+      calls.push(name);
+      return true;
+    },
+    ...overrides,
+  };
+  return { backend, calls };
+};
+
+describe('registerBackend', () => {
+  it('should list the built-in backends', () => {
+    expect(getBackendOrder()).toEqual(['title', 'cmdline', 'prctl', 'comm']);
+  });
+
+  it('should run a registered backend and report it', async () => {
+    const { backend, calls } = createRecordingBackend('test-record');
+    const unregister = registerBackend(backend);
+    try {
+      const result = await setProcessName('backend-test');
+      expect(calls).toEqual(['backend-test']);
+      expect(result.backends['test-record']).toBe(true);
+      expect(result.success).toBe(true);
+    } finally {
+      expect(unregister()).toBe(true);
+    }
+    expect(getBackendOrder()).not.toContain('test-record');
+  });
+
+  it('should pass the call context', async () => {
+    let context;
+    const unregister = registerBackend({
+      id: 'test-context',
+      isAvailable: () => true,
+      apply: (name, ctx) => {
+        context = ctx;
+        return null;
+      },
+    });
+    try {
+      const result = await setProcessName('context-test', { comm: 'ctx' });
+      expect(result.backends['test-context']).toBe(null);
+      expect(context.name).toBe('context-test');
+      expect(context.mode).toBe('default');
+      expect(context.sync).toBe(false);
+      expect(context.runtime).toBe(result.runtime);
+      if (result.platform === 'linux') {
+        expect(context.kernelName).toBe('ctx');
+      }
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should leave unavailable backends out of the results', async () => {
+    const { backend, calls } = createRecordingBackend('test-unavailable', {
+      isAvailable: () => false,
+    });
+    const unregister = registerBackend(backend);
+    try {
+      const result = await setProcessName('unavailable-test');
+      expect(calls).toEqual([]);
+      expect('test-unavailable' in result.backends).toBe(false);
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should report a throwing backend as failed', async () => {
+    const unregister = registerBackend({
+      id: 'test-throw',
+      isAvailable: () => true,
+      apply: () => {
+        throw new Error('boom');
+      },
+    });
+    try {
+      const result = await setProcessName('throw-test');
+      expect(result.backends['test-throw']).toBe(false);
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should report why a backend failed', async () => {
+    const cause = new Error('socket closed');
+    const unregister = registerBackend({
+      id: 'test-coded',
+      isAvailable: () => true,
+      apply: () => {
+        throw Object.assign(new Error('no systemd'), {
+          code: 'NOTIFY_FAILED',
+          cause,
+        });
+      },
+    });
+    try {
+      const result = await setProcessName('coded-test');
+      const failure = result.errors.find(
+        (entry) => entry.backend === 'test-coded'
+      );
+      expect(failure.code).toBe('NOTIFY_FAILED');
+      expect(failure.message).toBe('no systemd');
+      expect(failure.cause.cause).toBe(cause);
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should report a backend that returned false', () => {
+    const unregister = registerBackend({
+      id: 'test-false',
+      isAvailable: () => true,
+      apply: () => false,
+    });
+    try {
+      const result = setProcessNameSync('false-test');
+      expect(result.backends['test-false']).toBe(false);
+      expect(
+        result.errors.some(
+          (entry) =>
+            entry.backend === 'test-false' && entry.code === 'BACKEND_FAILED'
+        )
+      ).toBe(true);
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should not wait for async backends in sync calls', () => {
+    const unregister = registerBackend({
+      id: 'test-async',
+      isAvailable: () => true,
+      apply: () => Promise.reject(new Error('late')),
+    });
+    try {
+      const result = setProcessNameSync('async-test');
+      expect(result.backends['test-async']).toBe(null);
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should throw TypeError for a malformed backend', () => {
+    expect(() => registerBackend(null)).toThrow(TypeError);
+    expect(() => registerBackend({ id: '', apply() {} })).toThrow(TypeError);
+    expect(() => registerBackend({ id: 'x', isAvailable: () => true })).toThrow(
+      TypeError
+    );
+  });
+});
+
+describe('backend order', () => {
+  it('should run listed backends first', async () => {
+    const order = [];
+    const first = createRecordingBackend('test-first', {
+      apply: () => order.push('first') > 0,
+    });
+    const second = createRecordingBackend('test-second', {
+      apply: () => order.push('second') > 0,
+    });
+    const unregisterFirst = registerBackend(first.backend);
+    const unregisterSecond = registerBackend(second.backend);
+    try {
+      setBackendOrder(['test-second']);
+      expect(getBackendOrder()[0]).toBe('test-second');
+      await setProcessName('order-test');
+      expect(order).toEqual(['second', 'first']);
+    } finally {
+      setBackendOrder(null);
+      unregisterFirst();
+      unregisterSecond();
+    }
+  });
+
+  it('should run only the backends given in the call', async () => {
+    const { backend, calls } = createRecordingBackend('test-only');
+    const unregister = registerBackend(backend);
+    try {
+      const result = await setProcessName('only-test', {
+        backends: ['test-only'],
+      });
+      expect(calls).toEqual(['only-test']);
+      expect(Object.keys(result.backends)).toEqual(['test-only']);
+    } finally {
+      unregister();
+    }
+  });
+
+  it('should throw TypeError for an invalid order', () => {
+    expect(() => setBackendOrder('title')).toThrow(TypeError);
+  });
+
+  it('should report unregistering an unknown backend', () => {
+    expect(unregisterBackend('no-such-backend')).toBe(false);
+  });
+});
+
+describe('built-in backends', () => {
+  it('should report process.title through the title backend', async () => {
+    const result = await setProcessName('builtin-test');
+    if (result.runtime === 'node') {
+      expect(result.backends.title).toBe(true);
+      expect(result.processTitle).toBe(true);
+    }
+  });
+
+  it('should report no errors when every backend works', async () => {
+    const result = await setProcessName('no-errors-test');
+    expect(Array.isArray(result.errors)).toBe(true);
+    if (result.runtime === 'node') {
+      expect(result.errors).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for the CommonJS entry point
+ */
+
+import { createRequire } from 'node:module';
+import { describe, it, expect } from 'test-anywhere';
+import * as esm from '../src/index.js';
+
+// require(esm) is needed: Node.js 20.19+ and 22.12+, and Bun
+const canRequireEsm =
+  esm.detectRuntime() === 'bun' ||
+  (esm.detectRuntime() === 'node' && process.features.require_module === true);
+
+const require = createRequire(import.meta.url);
+
+describe('CommonJS entry point', () => {
+  it('should be resolved through the require condition', () => {
+    if (!canRequireEsm) {
+      return;
+    }
+    expect(require.resolve('set-process-name')).toMatch(/index\.cjs$/);
+  });
+
+  it('should export the same API as the ES module', () => {
+    if (!canRequireEsm) {
+      return;
+    }
+    const cjs = require('set-process-name');
+    expect(Object.keys(cjs).sort()).toEqual(Object.keys(esm).sort());
+  });
+
+  it('should share state with the ES module', async () => {
+    if (!canRequireEsm) {
+      return;
+    }
+    const cjs = require('set-process-name');
+    expect(cjs.setProcessName).toBe(esm.setProcessName);
+
+    // The ES module sees the name set through require()
+    await cjs.setProcessName('cjs-shared');
+    const watcher = esm.watchProcessName(() => {});
+    process.title = 'cjs-intruder';
+    expect(watcher.check()?.expected.title).toBe('cjs-shared');
+    watcher.stop();
+    await esm.restoreProcessName();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the set-process-name CLI
+ * The CLI is a Node.js executable, so these tests only run on Node.js
+ */
+
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'test-anywhere';
+import { detectRuntime, detectPlatform } from '../src/index.js';
+
+const isNode = detectRuntime() === 'node';
+
+/**
+ * Run the CLI and collect its output
+ * @param {string[]} args - CLI arguments
+ * @returns {Promise<{status: number | null, signal: string | null, stdout: string, stderr: string}>}
+ */
+const runCli = async (args) => {
+  const { spawnSync } = await import('node:child_process');
+  const cliPath = fileURLToPath(import.meta.resolve('../src/cli.js'));
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+};
+
+describe('set-process-name CLI', () => {
+  it('should print usage and exit 2 without a name', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stderr } = await runCli(['--', 'true']);
+    expect(status).toBe(2);
+    expect(stderr.includes('Usage:')).toBe(true);
+  });
+
+  it('should print usage and exit 2 for an unknown option', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stderr } = await runCli(['--bogus']);
+    expect(status).toBe(2);
+    expect(stderr.includes('Unknown option: --bogus')).toBe(true);
+  });
+
+  it('should print help', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stdout } = await runCli(['--help']);
+    expect(status).toBe(0);
+    expect(stdout.includes('--name')).toBe(true);
+  });
+
+  it('should pass through the exit code', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status } = await runCli([
+      '--name',
+      'cli-exit',
+      '--',
+      process.execPath,
+      '-e',
+      'process.exit(3)',
+    ]);
+    expect(status).toBe(3);
+  });
+
+  it('should exit 127 for a missing command', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status } = await runCli([
+      '--name',
+      'cli-missing',
+      '--',
+      'set-process-name-no-such-command',
+    ]);
+    expect(status).toBe(127);
+  });
+
+  it('should name a Node.js child from inside', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stdout } = await runCli([
+      '--name=cli-node-child',
+      '--',
+      process.execPath,
+      '-e',
+      'console.log(JSON.stringify([process.title, process.env.SET_PROCESS_NAME]))',
+    ]);
+    expect(status).toBe(0);
+    expect(stdout.trim()).toBe(JSON.stringify(['cli-node-child', undefined]));
+  });
+
+  it('should set argv0 of other programs on Linux', async () => {
+    if (!isNode || detectPlatform() !== 'linux') {
+      return;
+    }
+    const { status, stdout } = await runCli([
+      '-n',
+      'cli-shell',
+      'sh',
+      '-c',
+      'tr "\\0" " " < /proc/$$/cmdline',
+    ]);
+    expect(status).toBe(0);
+    expect(stdout.startsWith('cli-shell -c')).toBe(true);
+  });
+});
+
+describe('set-process-name doctor', () => {
+  it('should print a report for people', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stdout } = await runCli(['doctor']);
+    expect(status).toBe(0);
+    expect(stdout).toContain('Environment');
+    expect(stdout).toContain('runtime      node');
+    expect(stdout).toContain("Trial: set 'spn-doctor', then restore");
+  });
+
+  it('should print the report as JSON', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stdout } = await runCli(['doctor', '--json']);
+    expect(status).toBe(0);
+    const report = JSON.parse(stdout);
+    expect(report.runtime).toBe('node');
+    expect(report.platform).toBe(detectPlatform());
+    expect(report.mechanisms.title.available).toBe(true);
+    expect(report.trial.set.success).toBe(true);
+    expect(report.trial.set.effectiveName).toBe('spn-doctor');
+    expect(typeof report.trial.restore.effectiveName).toBe('string');
+    expect(report.trial.restore.success).toBe(true);
+    expect(report.trial.visible.title).toBe('spn-doctor');
+    expect(report.trial.restored.title).toBe(report.current.title);
+  });
+
+  it('should exit 2 for an unknown option', async () => {
+    if (!isNode) {
+      return;
+    }
+    const { status, stderr } = await runCli(['doctor', '--bogus']);
+    expect(status).toBe(2);
+    expect(stderr).toContain('Unknown option: --bogus');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for nameCluster
+ * node:cluster is Node.js-specific, so these tests only run on Node.js
+ */
+
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'test-anywhere';
+import { nameCluster, detectRuntime } from '../src/index.js';
+
+const isNode = detectRuntime() === 'node';
+
+/**
+ * Run the cluster fixture and parse the titles it reports
+ * @param {string[]} args - Fixture arguments
+ * @returns {Promise<{primary: string, workers: string[]}>}
+ */
+const runClusterApp = async (args = []) => {
+  const { spawnSync } = await import('node:child_process');
+  const appPath = fileURLToPath(
+    import.meta.resolve('./fixtures/cluster-app.js')
+  );
+  const { status, stdout } = spawnSync(process.execPath, [appPath, ...args], {
+    encoding: 'utf8',
+    timeout: 30000,
+  });
+  expect(status).toBe(0);
+  return JSON.parse(stdout);
+};
+
+describe('nameCluster', () => {
+  it('should name the primary and each worker', async () => {
+    if (!isNode || process.platform === 'win32') {
+      return;
+    }
+    const { primary, workers } = await runClusterApp();
+    expect(primary).toBe('fixture-primary');
+    expect(workers.sort()).toEqual(['fixture-w1', 'fixture-w2']);
+  });
+
+  it('should let workers get their name from the primary', async () => {
+    if (!isNode || process.platform === 'win32') {
+      return;
+    }
+    const { workers } = await runClusterApp(['ask']);
+    expect(workers.sort()).toEqual(['fixture-w1', 'fixture-w2']);
+  });
+
+  it('should reject invalid names', () => {
+    expect(() => nameCluster({ primary: 42 })).toThrow(TypeError);
+    expect(() => nameCluster({ worker: 42 })).toThrow(TypeError);
+  });
+});
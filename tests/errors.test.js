@@ -0,0 +1,68 @@
+/**
+ * Tests for structured failure reporting
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import { ProcessNameError, getErrnoName, toFailure } from '../src/errors.js';
+
+describe('ProcessNameError', () => {
+  it('should carry a code, cause and errno', () => {
+    const cause = new Error('underlying');
+    const error = new ProcessNameError('PRCTL_EPERM', 'prctl failed', {
+      cause,
+      errno: 1,
+    });
+    expect(error instanceof Error).toBe(true);
+    expect(error.name).toBe('ProcessNameError');
+    expect(error.code).toBe('PRCTL_EPERM');
+    expect(error.cause).toBe(cause);
+    expect(error.errno).toBe(1);
+  });
+});
+
+describe('getErrnoName', () => {
+  it('should decode common errno values', () => {
+    expect(getErrnoName(1)).toBe('EPERM');
+    expect(getErrnoName(22)).toBe('EINVAL');
+    expect(getErrnoName(9999)).toBe(null);
+  });
+});
+
+describe('toFailure', () => {
+  it('should unwrap the cause of a ProcessNameError', () => {
+    const cause = new Error('EACCES');
+    const failure = toFailure(
+      'comm',
+      new ProcessNameError('COMM_WRITE_FAILED', 'no', { cause })
+    );
+    expect(failure).toEqual({
+      backend: 'comm',
+      code: 'COMM_WRITE_FAILED',
+      message: 'no',
+      cause,
+    });
+  });
+
+  it('should keep other errors as the cause', () => {
+    const error = new Error('boom');
+    const failure = toFailure('custom', error);
+    expect(failure.code).toBe('BACKEND_FAILED');
+    expect(failure.message).toBe('boom');
+    expect(failure.cause).toBe(error);
+  });
+
+  it('should describe a backend that returned false', () => {
+    const failure = toFailure('custom', null);
+    expect(failure.code).toBe('BACKEND_FAILED');
+    expect(failure.cause).toBe(null);
+  });
+
+  it('should report errno for failed FFI calls', () => {
+    const failure = toFailure(
+      'prctl',
+      new ProcessNameError('PRCTL_EINVAL', 'no', { errno: 22 })
+    );
+    expect(failure.errno).toBe(22);
+    expect(failure.cause).toBe(null);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Fixture for nameCluster tests: forks two workers and prints the titles
+ * of the primary and the workers as JSON.
+ * With the `ask` argument, workers call nameCluster() without options and
+ * get their name from the primary.
+ */
+
+import cluster from 'node:cluster';
+import { nameCluster } from '../../src/index.js';
+
+const WORKERS = 2;
+const config = {
+  primary: 'fixture-primary',
+  worker: (id) => `fixture-w${id}`,
+};
+const askPrimary = process.argv[2] === 'ask';
+
+await nameCluster(cluster.isWorker && askPrimary ? {} : config).ready;
+
+if (cluster.isPrimary) {
+  const workers = [];
+  cluster.on('message', (worker, message) => {
+    if (typeof message.title !== 'string') {
+      return;
+    }
+    workers.push(message.title);
+    worker.kill();
+    if (workers.length === WORKERS) {
+      console.log(JSON.stringify({ primary: process.title, workers }));
+    }
+  });
+  for (let i = 0; i < WORKERS; i++) {
+    cluster.fork();
+  }
+} else {
+  process.send({ title: process.title });
+}
@@ -0,0 +1,5 @@
+/**
+ * Fixture for forkNamed tests: prints the title the process started with
+ */
+
+console.log(process.title);
@@ -8,11 +8,37 @@ import {
   setProcessName,
   setProcessNameSync,
   getProcessName,
+  getKernelProcessName,
+  getKernelProcessNameSync,
   getCapabilities,
+  requestPermissions,
   detectRuntime,
   detectPlatform,
+  truncateProcessName,
+  fitProcessName,
+  setThreadName,
+  getThreadName,
+  getOriginalProcessName,
+  restoreProcessName,
+  restoreProcessNameSync,
+  withProcessName,
+  useProcessName,
+  createProcessTitle,
+  setProcessStatus,
+  clearProcessStatus,
+  InvalidProcessNameError,
 } from '../src/index.js';
 
+describe('requestPermissions', () => {
+  it('should resolve to the capabilities', async () => {
+    const caps = await requestPermissions();
+    expect(typeof caps.canSetTitle).toBe('boolean');
+    if (caps.runtime !== 'deno') {
+      expect(caps.missingPermissions).toEqual([]);
+    }
+  });
+});
+
 describe('detectRuntime', () => {
   it('should return a string', () => {
     const runtime = detectRuntime();
@@ -66,10 +92,63 @@ describe('getCapabilities', () => {
     expect(typeof caps).toBe('object');
     expect(typeof caps.canSetTitle).toBe('boolean');
     expect(typeof caps.canSetPrctl).toBe('boolean');
+    expect(typeof caps.canSetCmdline).toBe('boolean');
+    expect(
+      caps.cmdlineMaxLength === null ||
+        typeof caps.cmdlineMaxLength === 'number'
+    ).toBe(true);
+    expect(caps.libc === null || typeof caps.libc === 'string').toBe(true);
     expect(typeof caps.runtime).toBe('string');
     expect(typeof caps.platform).toBe('string');
   });
 
+  it('should report Deno permissions', () => {
+    const caps = getCapabilities();
+    expect(Array.isArray(caps.requiredPermissions)).toBe(true);
+    expect(Array.isArray(caps.missingPermissions)).toBe(true);
+    if (caps.runtime !== 'deno') {
+      expect(caps.requiredPermissions).toEqual([]);
+      expect(caps.missingPermissions).toEqual([]);
+    } else if (caps.platform === 'linux') {
+      const names = caps.requiredPermissions.map(({ name }) => name);
+      expect(names).toContain('ffi');
+      expect(names).toContain('read');
+      expect(names).toContain('write');
+      for (const { flag, reason } of caps.missingPermissions) {
+        expect(typeof flag).toBe('string');
+        expect(typeof reason).toBe('string');
+      }
+      const ffiMissing = caps.missingPermissions.some(
+        ({ name }) => name === 'ffi'
+      );
+      expect(caps.canSetPrctl).toBe(!ffiMissing);
+    }
+  });
+
+  it('should only report /proc as readable where it can be read', () => {
+    const caps = getCapabilities();
+    if (caps.runtime !== 'deno' || caps.platform !== 'linux') {
+      return;
+    }
+    const read = caps.requiredPermissions.find(({ name }) => name === 'read');
+    if (Number.parseInt(Deno.version.deno, 10) >= 2) {
+      expect(read.flag).toBe('--allow-all');
+    }
+    const readMissing = caps.missingPermissions.some(
+      ({ name }) => name === 'read'
+    );
+    if (!readMissing) {
+      expect(getProcessName({ source: 'comm' })).not.toBe(null);
+    }
+  });
+
+  it('should report the libc loaded into the process on Linux', () => {
+    const caps = getCapabilities();
+    if (caps.platform === 'linux' && caps.runtime === 'node') {
+      expect(caps.libc).toMatch(/\/(libc|ld-musl)[^/]*\.so/);
+    }
+  });
+
   it('should have canSetTitle true in Node.js/Bun environments', () => {
     const caps = getCapabilities();
     if (caps.runtime === 'node' || caps.runtime === 'bun') {
@@ -100,6 +179,29 @@ describe('getProcessName', () => {
       expect(name).toBe(process.title);
     }
   });
+
+  it('should return every source with source: all', () => {
+    const names = getProcessName({ source: 'all' });
+    expect(typeof names).toBe('object');
+    for (const source of ['title', 'comm', 'cmdline', 'argv0']) {
+      expect(names[source] === null || typeof names[source] === 'string').toBe(
+        true
+      );
+    }
+  });
+
+  it('should read the kernel name from /proc/self/comm on Linux', async () => {
+    const caps = getCapabilities();
+    if (caps.platform === 'linux' && caps.runtime === 'node') {
+      await setProcessName('comm-source');
+      expect(getProcessName({ source: 'comm' })).toBe('comm-source');
+      expect(getProcessName({ source: 'cmdline' })).toBe('comm-source');
+    }
+  });
+
+  it('should throw TypeError for an unknown source', () => {
+    expect(() => getProcessName({ source: 'nope' })).toThrow(TypeError);
+  });
 });
 
 describe('setProcessNameSync', () => {
@@ -205,6 +307,701 @@ describe('setProcessName (async)', () => {
   });
 });
 
+describe('truncateProcessName', () => {
+  it('should leave names within the budget unchanged', () => {
+    expect(truncateProcessName('short')).toEqual({
+      name: 'short',
+      truncated: false,
+    });
+    expect(truncateProcessName('a'.repeat(15)).truncated).toBe(false);
+  });
+
+  it('should count UTF-8 bytes, not characters', () => {
+    // Cyrillic letters take 2 bytes each
+    const result = truncateProcessName('сервис-платежей');
+    expect(result.name).toBe('сервис-п');
+    expect(result.truncated).toBe(true);
+    expect(new TextEncoder().encode(result.name).length <= 15).toBe(true);
+  });
+
+  it('should never split a character', () => {
+    // 'a' + 7 two-byte letters = 15 bytes, the next letter does not fit
+    expect(truncateProcessName('aпривет-мир').name).toBe('aпривет-');
+    expect(truncateProcessName('abcdefghijklm\u{1F600}').name).toBe(
+      'abcdefghijklm'
+    );
+  });
+
+  it('should never split a grapheme cluster', () => {
+    const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+    expect(truncateProcessName(`ab${family}cd`).name).toBe('ab');
+  });
+
+  it('should accept a custom byte budget', () => {
+    expect(truncateProcessName('abcdef', 3)).toEqual({
+      name: 'abc',
+      truncated: true,
+    });
+  });
+
+  it('should throw TypeError for non-string input', () => {
+    expect(() => truncateProcessName(42)).toThrow(TypeError);
+  });
+});
+
+describe('fitProcessName', () => {
+  const byteLength = (text) => new TextEncoder().encode(text).length;
+
+  it('should shorten with every strategy', () => {
+    const expected = {
+      'truncate-end': 'payments-worker',
+      'truncate-start': 'ments-worker-12',
+      'ellipsis-middle': 'paymen…ker-12',
+      'keep-suffix': 'payments-wor-12',
+      abbreviate: 'pymnts-wrkr-12',
+    };
+    for (const [fit, name] of Object.entries(expected)) {
+      expect(fitProcessName('payments-worker-12', { fit })).toEqual({
+        name,
+        truncated: true,
+      });
+    }
+  });
+
+  it('should keep instance ids apart with keep-suffix', () => {
+    const fit = 'keep-suffix';
+    expect(fitProcessName('payments-worker-12', { fit }).name).not.toBe(
+      fitProcessName('payments-worker-13', { fit }).name
+    );
+  });
+
+  it('should leave names within the budget unchanged', () => {
+    expect(fitProcessName('short', { fit: 'abbreviate' })).toEqual({
+      name: 'short',
+      truncated: false,
+    });
+  });
+
+  it('should not split grapheme clusters', () => {
+    const name = 'ab-😀😀😀😀';
+    for (const fit of ['truncate-start', 'ellipsis-middle']) {
+      const fitted = fitProcessName(name, { fit }).name;
+      expect(byteLength(fitted) <= 15).toBe(true);
+      // No lone surrogate left from a split emoji
+      expect(/\p{Cs}/u.test(fitted)).toBe(false);
+    }
+    expect(fitProcessName(name, { fit: 'truncate-start' }).name).toBe('😀😀😀');
+  });
+
+  it('should honour maxBytes', () => {
+    expect(
+      fitProcessName('worker-7-of-12', { fit: 'keep-suffix', maxBytes: 8 })
+    ).toEqual({ name: 'worke-12', truncated: true });
+  });
+
+  it('should throw TypeError for an unknown strategy', () => {
+    expect(() => fitProcessName('name', { fit: 'squeeze' })).toThrow(TypeError);
+    expect(() => setProcessNameSync('name', { fit: 'squeeze' })).toThrow(
+      TypeError
+    );
+  });
+
+  it('should apply the strategy to the kernel name on Linux', async () => {
+    const result = await setProcessName('payments-worker-12', {
+      fit: 'keep-suffix',
+    });
+    if (result.platform !== 'linux') {
+      return;
+    }
+    expect(result.effectiveName).toBe('payments-wor-12');
+    expect(result.truncated).toBe(true);
+    const comm = getProcessName({ source: 'comm' });
+    if (comm !== null && result.success) {
+      expect(comm).toBe('payments-wor-12');
+    }
+  });
+
+  it('should apply the strategy to thread names', async () => {
+    const result = await setThreadName('payments-worker-12', {
+      fit: 'ellipsis-middle',
+    });
+    if (result.platform === 'linux') {
+      expect(result.effectiveName).toBe('paymen…ker-12');
+    }
+  });
+});
+
+describe('setProcessName truncation', () => {
+  it('should report truncated and effectiveName', async () => {
+    const result = await setProcessName('truncation-test-long-name');
+    if (result.platform === 'linux') {
+      expect(result.truncated).toBe(true);
+      expect(result.effectiveName).toBe('truncation-test');
+    } else {
+      expect(result.truncated).toBe(false);
+      expect(result.effectiveName).toBe('truncation-test-long-name');
+    }
+  });
+
+  it('should not garble multi-byte names in the kernel name', async () => {
+    const result = await setProcessName('aпривет-мир', { verify: true });
+    if (result.platform === 'linux') {
+      expect(result.effectiveName).toBe('aпривет-');
+      if (result.runtime === 'node') {
+        expect(result.applied).toBe('aпривет-');
+      }
+    }
+  });
+
+  it('should tell a cut-short title from a read-only one', async () => {
+    const result = await setProcessName('x'.repeat(4096));
+    if (result.runtime === 'node' && result.platform === 'linux') {
+      const failure = result.errors.find((entry) => entry.backend === 'title');
+      expect(failure.code).toBe('TITLE_TRUNCATED');
+    }
+  });
+});
+
+describe('getKernelProcessName', () => {
+  it('should return null outside Linux', async () => {
+    if (detectPlatform() === 'linux') {
+      return;
+    }
+    expect(await getKernelProcessName()).toBe(null);
+    expect(getKernelProcessNameSync()).toBe(null);
+  });
+
+  it('should read back the 15-byte kernel name on Linux', async () => {
+    if (detectPlatform() !== 'linux') {
+      return;
+    }
+    const result = await setProcessName('kernel-readback-test');
+    // Only Node.js sets the kernel name through process.title; elsewhere
+    // the title backend alone leaves nothing to read back
+    const kernelNameSet =
+      detectRuntime() === 'node'
+        ? result.backends.title === true
+        : result.backends.prctl === true || result.backends.comm === true;
+    if (!kernelNameSet) {
+      return;
+    }
+    expect(await getKernelProcessName()).toBe('kernel-readback');
+    expect(getKernelProcessNameSync()).toBe('kernel-readback');
+  });
+
+  it('should match /proc/self/comm on Linux', async () => {
+    if (detectPlatform() !== 'linux') {
+      return;
+    }
+    const comm = getProcessName({ source: 'comm' });
+    if (comm === null) {
+      return; // e.g. Deno without --allow-read
+    }
+    expect(await getKernelProcessName()).toBe(comm);
+  });
+});
+
+describe('setThreadName / getThreadName', () => {
+  it('should throw TypeError for non-string input', async () => {
+    try {
+      await setThreadName(123);
+      expect(true).toBe(false); // Should not reach here
+    } catch (err) {
+      expect(err instanceof TypeError).toBe(true);
+    }
+  });
+
+  it('should return a result object', async () => {
+    const result = await setThreadName('thread-test');
+    expect(typeof result.success).toBe('boolean');
+    expect(result.effectiveName).toBe('thread-test');
+    if (result.platform !== 'linux') {
+      expect(result.success).toBe(false);
+    }
+  });
+
+  it('should name only the calling worker thread on Linux', async () => {
+    const caps = getCapabilities();
+    if (caps.platform !== 'linux' || caps.runtime !== 'node') {
+      return;
+    }
+    const { Worker } = await import('node:worker_threads');
+    const moduleUrl = import.meta.resolve('../src/index.js');
+    const worker = new Worker(
+      `import(${JSON.stringify(moduleUrl)}).then(async (m) => {
+        const result = await m.setThreadName('worker-thread-name');
+        require('node:worker_threads').parentPort.postMessage({
+          result,
+          name: m.getThreadName(),
+        });
+      });`,
+      { eval: true }
+    );
+    const { result, name } = await new Promise((resolve, reject) => {
+      worker.once('message', resolve);
+      worker.once('error', reject);
+    });
+    await worker.terminate();
+
+    expect(result.success).toBe(true);
+    expect(result.truncated).toBe(true);
+    expect(typeof result.threadId).toBe('number');
+    expect(name).toBe('worker-thread-n');
+    expect(getProcessName({ source: 'comm' }) === 'worker-thread-n').toBe(
+      false
+    );
+  });
+
+  it('should read the main thread name', () => {
+    const name = getThreadName();
+    expect(name === null || typeof name === 'string').toBe(true);
+    if (detectPlatform() === 'linux' && detectRuntime() === 'node') {
+      expect(name).toBe(getProcessName({ source: 'comm' }));
+    }
+  });
+});
+
+describe('setProcessName verify option', () => {
+  it('should leave applied/verified null without verify', async () => {
+    const result = await setProcessName('no-verify');
+    expect(result.applied).toBe(null);
+    expect(result.verified).toBe(null);
+  });
+
+  it('should read the name back with verify: true', async () => {
+    const result = await setProcessName('verify-test', { verify: true });
+    expect(result.applied === null || typeof result.applied === 'string').toBe(
+      true
+    );
+    expect(
+      result.verified === null || typeof result.verified === 'boolean'
+    ).toBe(true);
+    if (result.runtime === 'node') {
+      expect(result.applied).toBe('verify-test');
+      expect(result.verified).toBe(true);
+      expect(result.success).toBe(true);
+    }
+  });
+
+  it('should compare only the 15-byte kernel name on Linux', async () => {
+    const result = setProcessNameSync('verify-a-very-long-name', {
+      verify: true,
+    });
+    if (result.runtime === 'node' && result.platform === 'linux') {
+      expect(result.applied).toBe('verify-a-very-l');
+      expect(result.verified).toBe(true);
+    }
+  });
+});
+
+describe('setProcessName cmdline mode', () => {
+  it('should throw TypeError for an unknown mode', async () => {
+    expect(() => setProcessNameSync('x', { mode: 'nope' })).toThrow(TypeError);
+    try {
+      await setProcessName('x', { mode: 'nope' });
+      expect(true).toBe(false); // Should not reach here
+    } catch (err) {
+      expect(err instanceof TypeError).toBe(true);
+    }
+  });
+
+  it('should not touch the command line by default', async () => {
+    const result = await setProcessName('default-mode');
+    expect(result.cmdline).toBe(null);
+  });
+
+  it('should rewrite /proc/self/cmdline on Linux', async () => {
+    const caps = getCapabilities();
+    const title = 'cmdline-mode: a title longer than fifteen bytes';
+    const result = await setProcessName(title, { mode: 'cmdline' });
+    if (!caps.canSetCmdline) {
+      expect(result.cmdline === null || result.cmdline === false).toBe(true);
+      return;
+    }
+    expect(result.cmdline).toBe(true);
+    expect(result.effectiveName).toBe('cmdline-mode: a');
+    const expected = truncateProcessName(title, caps.cmdlineMaxLength).name;
+    expect(getProcessName({ source: 'cmdline' })).toBe(expected);
+  });
+});
+
+describe('restoreProcessName', () => {
+  it('should expose the startup identity', () => {
+    const original = getOriginalProcessName();
+    expect(typeof original).toBe('object');
+    for (const source of ['title', 'comm', 'cmdline', 'argv0']) {
+      expect(
+        original[source] === null || typeof original[source] === 'string'
+      ).toBe(true);
+    }
+  });
+
+  it('should report the previous name', async () => {
+    await setProcessName('previous-one');
+    const result = await setProcessName('previous-two');
+    if (result.runtime === 'node') {
+      expect(result.previous).toBe('previous-one');
+    } else {
+      expect(
+        result.previous === null || typeof result.previous === 'string'
+      ).toBe(true);
+    }
+  });
+
+  it('should verify the kernel name as restored', async () => {
+    await setProcessName('restore-verify');
+    const result = await restoreProcessName({ verify: true });
+    if (result.verified === null) {
+      return; // nothing to read the name back with
+    }
+    expect(result.applied).toBe(result.effectiveName);
+    expect(result.verified).toBe(true);
+  });
+
+  it('should restore the original name', async () => {
+    const original = getOriginalProcessName();
+    await setProcessName('restore-test-with-long-title', { mode: 'cmdline' });
+    const result = await restoreProcessName();
+    expect(typeof result.success).toBe('boolean');
+    expect(result.previous).toBe('restore-test-with-long-title');
+    if (result.runtime === 'node') {
+      expect(getProcessName()).toBe(original.title);
+      expect(getProcessName({ source: 'comm' })).toBe(original.comm);
+      expect(getProcessName({ source: 'cmdline' })).toBe(original.cmdline);
+    }
+  });
+
+  it('should restore the original name synchronously', () => {
+    const original = getOriginalProcessName();
+    setProcessNameSync('restore-sync-test');
+    const result = restoreProcessNameSync();
+    expect(typeof result.success).toBe('boolean');
+    if (result.runtime === 'node') {
+      expect(getProcessName()).toBe(original.title);
+    }
+  });
+});
+
+describe('withProcessName', () => {
+  it('should run the task under the name and return its value', async () => {
+    await setProcessName('with-outer');
+    const value = await withProcessName('with-inner', async (result) => {
+      expect(typeof result.success).toBe('boolean');
+      if (detectRuntime() === 'node') {
+        expect(getProcessName()).toBe('with-inner');
+      }
+      return 42;
+    });
+    expect(value).toBe(42);
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('with-outer');
+    }
+  });
+
+  it('should restore the previous name when the task rejects', async () => {
+    await setProcessName('with-before-error');
+    try {
+      await withProcessName('with-failing', async () => {
+        throw new Error('task failed');
+      });
+      expect(true).toBe(false); // Should not reach here
+    } catch (err) {
+      expect(err.message).toBe('task failed');
+    }
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('with-before-error');
+    }
+  });
+
+  it('should restore the previous name with the options it was set with', async () => {
+    await setProcessName('withapp');
+    await setProcessStatus('idle');
+    await withProcessName('with-migrating', async () => null);
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('withapp: idle');
+    }
+    if (detectPlatform() === 'linux' && detectRuntime() !== 'deno') {
+      // The status base stays the kernel name
+      expect(getProcessName({ source: 'comm' })).toBe('withapp');
+    }
+    await clearProcessStatus();
+  });
+
+  it('should throw TypeError if the task is not a function', async () => {
+    try {
+      await withProcessName('with-no-task', 'not a function');
+      expect(true).toBe(false); // Should not reach here
+    } catch (err) {
+      expect(err instanceof TypeError).toBe(true);
+    }
+  });
+});
+
+describe('useProcessName', () => {
+  it('should return a disposable handle', async () => {
+    const scope = await useProcessName('use-scope');
+    expect(typeof scope.restore).toBe('function');
+    expect(typeof scope[Symbol.dispose ?? Symbol.for('Symbol.dispose')]).toBe(
+      'function'
+    );
+    expect(
+      typeof scope[Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose')]
+    ).toBe('function');
+    await scope.restore();
+  });
+
+  it('should restore the previous name once', async () => {
+    await setProcessName('use-outer');
+    const scope = await useProcessName('use-inner');
+    const restored = scope.restoreSync();
+    expect(typeof restored.success).toBe('boolean');
+    expect(scope.restoreSync()).toBe(null);
+    expect(await scope.restore()).toBe(null);
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('use-outer');
+    }
+  });
+
+  it('should restore the original identity for an outermost scope', async () => {
+    await restoreProcessName();
+    const scope = await useProcessName('use-outermost');
+    await scope.restore();
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe(getOriginalProcessName().title);
+    }
+  });
+});
+
+describe('setProcessName comm option', () => {
+  it('should set a separate kernel name', async () => {
+    const result = await setProcessName('comm-option full title', {
+      comm: 'comm-option',
+      verify: true,
+    });
+    if (result.platform === 'linux') {
+      expect(result.effectiveName).toBe('comm-option');
+    }
+    if (result.runtime === 'node') {
+      expect(getProcessName()).toBe('comm-option full title');
+      if (result.platform === 'linux') {
+        expect(result.applied).toBe('comm-option');
+      }
+    }
+  });
+
+  it('should throw TypeError for a non-string comm', () => {
+    expect(() => setProcessNameSync('x', { comm: 42 })).toThrow(TypeError);
+  });
+});
+
+describe('setProcessName libcPath option', () => {
+  it('should report prctl failure for a libc that cannot be opened', async () => {
+    const result = await setProcessName('libc-option', {
+      libcPath: '/nonexistent/libc.so',
+    });
+    if (
+      result.platform === 'linux' &&
+      (result.runtime === 'bun' || result.runtime === 'deno')
+    ) {
+      expect(result.prctl).toBe(false);
+      const failure = result.errors.find((entry) => entry.backend === 'prctl');
+      expect(['LIBC_NOT_FOUND', 'FFI_PERMISSION_DENIED']).toContain(
+        failure.code
+      );
+    }
+    if (result.runtime === 'node') {
+      // Node.js names the process through libuv, not FFI
+      expect(result.success).toBe(true);
+    }
+  });
+
+  it('should throw TypeError for a non-string libcPath', () => {
+    expect(() => setProcessNameSync('x', { libcPath: 42 })).toThrow(TypeError);
+  });
+});
+
+describe('createProcessTitle', () => {
+  it('should render fields into the title', async () => {
+    const title = createProcessTitle('tpl[{pid}] {state} n={n}', {
+      state: 'idle',
+      n: 0,
+    });
+    await title.ready;
+    // Cut to the command line, which `bun test` leaves only 8 bytes of
+    const full = `tpl[${process.pid}] idle n=0`;
+    const { cmdlineMaxLength } = getCapabilities();
+    expect(title.text).toBe(
+      cmdlineMaxLength === null
+        ? full
+        : fitProcessName(full, { maxBytes: cmdlineMaxLength }).name
+    );
+    expect(title.fields.state).toBe('idle');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe(title.text);
+    }
+  });
+
+  it('should apply updates in order', async () => {
+    const title = createProcessTitle('tpl {state}', { state: 'a' });
+    title.update({ state: 'b' });
+    const result = await title.update({ state: 'c' });
+    expect(title.text).toBe('tpl c');
+    expect(typeof result.success).toBe('boolean');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('tpl c');
+    }
+  });
+
+  it('should reject without crashing when the title is invalid', async () => {
+    const title = createProcessTitle(
+      'tpl {state}',
+      { state: 'a\nb' },
+      { onInvalid: 'throw' }
+    );
+    let thrown = null;
+    try {
+      await title.ready;
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown instanceof InvalidProcessNameError).toBe(true);
+
+    // Left unawaited, the next failure must not be an unhandled rejection
+    title.update({ state: 'c\nd' });
+    await title.update({ state: 'ok' }).catch(() => null);
+    expect(title.text).toBe('tpl ok');
+  });
+
+  it('should try a title that could not be set again', async () => {
+    const title = createProcessTitle(
+      'tpl {state}',
+      { state: '\n' },
+      { onInvalid: 'ignore' }
+    );
+    const first = await title.ready;
+    expect(first.success).toBe(false);
+    const second = await title.update();
+    expect(second).not.toBe(first);
+  });
+
+  it('should render missing fields as empty strings', () => {
+    const title = createProcessTitle('tpl {missing}|');
+    expect(title.text).toBe('tpl |');
+  });
+
+  it('should render the kernel name from the comm template', async () => {
+    const title = createProcessTitle(
+      'templated-service[{pid}] {state}',
+      { state: 'busy' },
+      { comm: 'tpl {state}' }
+    );
+    const result = await title.ready;
+    expect(title.comm).toBe('tpl busy');
+    if (result.platform === 'linux') {
+      expect(result.effectiveName).toBe('tpl busy');
+    }
+  });
+
+  it('should throw TypeError for a non-string template', () => {
+    expect(() => createProcessTitle(42)).toThrow(TypeError);
+  });
+});
+
+describe('setProcessStatus / clearProcessStatus', () => {
+  it('should keep the base name and add the status to the title', async () => {
+    await setProcessName('statusapp');
+    const result = await setProcessStatus('idle');
+    if (result.platform === 'linux') {
+      expect(result.effectiveName).toBe('statusapp');
+    }
+    if (result.runtime === 'node') {
+      expect(getProcessName()).toBe('statusapp: idle');
+      if (result.platform === 'linux') {
+        expect(getProcessName({ source: 'comm' })).toBe('statusapp');
+      }
+    }
+  });
+
+  it('should replace the status, not append to it', async () => {
+    await setProcessName('statusapp');
+    await setProcessStatus('idle');
+    await setProcessStatus('handling request');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('statusapp: handling request');
+    }
+  });
+
+  it('should keep the base after a sanitized status', async () => {
+    await setProcessName('statusapp');
+    await setProcessStatus('a\nb');
+    await setProcessStatus('next');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('statusapp: next');
+      if (detectPlatform() === 'linux') {
+        expect(getProcessName({ source: 'comm' })).toBe('statusapp');
+      }
+    }
+  });
+
+  it('should keep the status when setting it fails', async () => {
+    await setProcessName('statusapp');
+    await setProcessStatus('idle');
+    const result = await setProcessStatus('\n', {
+      base: '\n',
+      onInvalid: 'ignore',
+    });
+    expect(result.success).toBe(false);
+    await setProcessStatus('busy');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('statusapp: busy');
+    }
+  });
+
+  it('should pick up a new base after a rename', async () => {
+    await setProcessStatus('idle', { base: 'statusapp' });
+    await setProcessName('renamed');
+    await setProcessStatus('busy');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('renamed: busy');
+    }
+  });
+
+  it('should clear the status', async () => {
+    await setProcessStatus('idle', { base: 'statusapp' });
+    const result = await clearProcessStatus();
+    expect(typeof result.success).toBe('boolean');
+    if (detectRuntime() === 'node') {
+      expect(getProcessName()).toBe('statusapp');
+    }
+    expect(await clearProcessStatus()).toBe(null);
+  });
+
+  it('should clear the status with the options it was set with', async () => {
+    const set = await setProcessStatus('busy', {
+      base: 'statusapp',
+      mode: 'cmdline',
+    });
+    if (set.backends.cmdline !== true) {
+      return; // e.g. not on Linux
+    }
+    const result = await clearProcessStatus();
+    expect(result.backends.cmdline).toBe(true);
+    // A prefix where the command line is short, as under `bun test`
+    expect('statusapp'.startsWith(getProcessName({ source: 'cmdline' }))).toBe(
+      true
+    );
+  });
+
+  it('should throw TypeError for non-string status', async () => {
+    try {
+      await setProcessStatus(42);
+      expect(true).toBe(false); // Should not reach here
+    } catch (err) {
+      expect(err instanceof TypeError).toBe(true);
+    }
+  });
+});
+
 describe('setProcessName on Linux', () => {
   it('should attempt prctl on Linux with Bun/Deno', async () => {
     const caps = getCapabilities();
@@ -0,0 +1,137 @@
+/**
+ * Tests for lockProcessName
+ */
+
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'test-anywhere';
+import {
+  setProcessName,
+  lockProcessName,
+  unlockProcessName,
+  ProcessNameError,
+  detectRuntime,
+  detectPlatform,
+} from '../src/index.js';
+
+// Other code can only assign process.title where it takes the name, and
+// Node.js can only be locked on Linux
+const isNode = detectRuntime() === 'node';
+const canTest = isNode && detectPlatform() === 'linux';
+
+/**
+ * Read the kernel name and command line the OS reports
+ * @returns {{comm: string, cmdline: string}}
+ */
+const readVisibleNames = () => ({
+  comm: readFileSync('/proc/self/comm', 'utf8').trim(),
+  cmdline: readFileSync('/proc/self/cmdline', 'utf8').replace(/\0+$/, ''),
+});
+
+describe('lockProcessName', () => {
+  it('should validate the mode', () => {
+    expect(() => lockProcessName({ mode: 'freeze' })).toThrow(TypeError);
+  });
+
+  it('should report whether a lock was in place', () => {
+    expect(unlockProcessName()).toBe(false);
+  });
+
+  it('should reject assignments and record who made them', async () => {
+    if (!canTest) {
+      return;
+    }
+    await setProcessName('lock-reject');
+    const lock = lockProcessName({ mode: 'reject' });
+    let thrown = null;
+    try {
+      process.title = 'lock-intruder';
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown instanceof ProcessNameError).toBe(true);
+    expect(thrown.code).toBe('TITLE_LOCKED');
+    expect(process.title).toBe('lock-reject');
+    expect(lock.attempts.length).toBe(1);
+    expect(lock.attempts[0].value).toBe('lock-intruder');
+    expect(lock.attempts[0].stack).toContain('lock.test.js');
+    expect(lock.unlock()).toBe(true);
+  });
+
+  it('should drop assignments silently in ignore mode', async () => {
+    if (!canTest) {
+      return;
+    }
+    await setProcessName('lock-ignore');
+    const lock = lockProcessName({ mode: 'ignore' });
+    process.title = 'lock-intruder';
+    expect(process.title).toBe('lock-ignore');
+    expect(lock.attempts.length).toBe(1);
+    unlockProcessName();
+  });
+
+  it('should emit a warning in warn mode', async () => {
+    if (!canTest) {
+      return;
+    }
+    await setProcessName('lock-warn');
+    lockProcessName({ mode: 'warn' });
+    const warning = new Promise((resolve) => process.once('warning', resolve));
+    process.title = 'lock-intruder';
+    const { name, code } = await warning;
+    expect(name).toBe('ProcessNameWarning');
+    expect(code).toBe('TITLE_LOCKED');
+    expect(process.title).toBe('lock-warn');
+    unlockProcessName();
+  });
+
+  it('should let setProcessName rename the process while locked', async () => {
+    if (!canTest) {
+      return;
+    }
+    lockProcessName({ mode: 'reject' });
+    const result = await setProcessName('lock-owner');
+    expect(result.success).toBe(true);
+    expect(process.title).toBe('lock-owner');
+    expect(readVisibleNames()).toEqual({
+      comm: 'lock-owner',
+      cmdline: 'lock-owner',
+    });
+
+    await setProcessName('lock-owner-2');
+    expect(readVisibleNames().comm).toBe('lock-owner-2');
+    unlockProcessName();
+  });
+
+  it('should refuse to lock a native title off Linux', () => {
+    if (!isNode || detectPlatform() === 'linux') {
+      return;
+    }
+    expect(() => lockProcessName()).toThrow(ProcessNameError);
+  });
+
+  it('should pass assignments on after unlocking', async () => {
+    if (!canTest) {
+      return;
+    }
+    lockProcessName({ mode: 'reject' });
+    unlockProcessName();
+    process.title = 'lock-released';
+    expect(process.title).toBe('lock-released');
+    expect(readVisibleNames()).toEqual({
+      comm: 'lock-released',
+      cmdline: 'lock-released',
+    });
+  });
+
+  it('should read back the title as cut to the command line after unlocking', async () => {
+    if (!canTest) {
+      return;
+    }
+    lockProcessName();
+    unlockProcessName();
+    process.title = 'lock-released-'.repeat(20);
+    const { cmdline } = readVisibleNames();
+    expect(cmdline.length < 280).toBe(true);
+    expect(process.title).toBe(cmdline);
+  });
+});
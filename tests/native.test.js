@@ -0,0 +1,97 @@
+/**
+ * Tests for the native libc binding used on Bun and Deno
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  getNativeBinding,
+  getNativeBindingSync,
+  disposeSymbol,
+} from '../src/native.js';
+import { isDenoPermissionGranted } from '../src/permissions.js';
+import {
+  detectRuntime,
+  detectPlatform,
+  disposeNativeBinding,
+  restoreProcessName,
+  setProcessName,
+} from '../src/index.js';
+
+const runtime = detectRuntime();
+const hasFFI =
+  detectPlatform() === 'linux' && (runtime === 'bun' || runtime === 'deno');
+// Nothing is behind a permission on Bun; Deno needs --allow-ffi
+const canUseFFI =
+  hasFFI && (runtime === 'bun' || isDenoPermissionGranted({ name: 'ffi' }));
+
+describe('native binding', () => {
+  it('should be disposable from the package entry', () => {
+    expect(typeof disposeNativeBinding).toBe('function');
+    // Nothing is open on Node.js; closing twice is harmless elsewhere
+    disposeNativeBinding();
+    disposeNativeBinding();
+  });
+
+  it('should not open a binding on Node.js', async () => {
+    if (runtime !== 'node') {
+      return;
+    }
+    expect(await getNativeBinding(runtime)).toBe(null);
+    expect(getNativeBindingSync(runtime)).toBe(null);
+  });
+
+  it('should open libc once and share it', async () => {
+    if (!canUseFFI) {
+      return;
+    }
+    const binding = await getNativeBinding(runtime);
+    expect(binding).not.toBe(null);
+    expect(await getNativeBinding(runtime)).toBe(binding);
+    expect(getNativeBindingSync(runtime)).toBe(binding);
+    disposeNativeBinding();
+  });
+
+  it('should set and read back the thread name', async () => {
+    if (!canUseFFI) {
+      return;
+    }
+    const binding = await getNativeBinding(runtime);
+    expect(binding).not.toBe(null);
+    const previous = binding.getName();
+    expect(binding.setName('native-test')).toBe(true);
+    expect(binding.getName()).toBe('native-test');
+    binding.setName(previous);
+    disposeNativeBinding();
+  });
+
+  it('should reopen after dispose', async () => {
+    if (!canUseFFI) {
+      return;
+    }
+    const binding = await getNativeBinding(runtime);
+    expect(binding).not.toBe(null);
+    binding[disposeSymbol]();
+    // Disposing twice is harmless
+    binding.dispose();
+    const reopened = await getNativeBinding(runtime);
+    expect(reopened).not.toBe(binding);
+    expect(typeof reopened.getName()).toBe('string');
+    disposeNativeBinding();
+  });
+
+  it('should set the kernel name through prctl', async () => {
+    if (!canUseFFI) {
+      return;
+    }
+    const result = await setProcessName('native-prctl');
+    expect(result.backends.prctl).toBe(true);
+    await restoreProcessName();
+  });
+
+  it('should only try an explicit libc path', async () => {
+    if (!hasFFI) {
+      return;
+    }
+    expect(await getNativeBinding(runtime, '/nonexistent/libc.so')).toBe(null);
+  });
+});
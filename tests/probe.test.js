@@ -0,0 +1,82 @@
+/**
+ * Tests for probeCapabilities
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  probeCapabilities,
+  getProcessName,
+  detectRuntime,
+  detectPlatform,
+} from '../src/index.js';
+
+const runtime = detectRuntime();
+const platform = detectPlatform();
+const MECHANISMS = ['title', 'prctl', 'comm', 'cmdline'];
+
+describe('probeCapabilities', () => {
+  it('should report every mechanism', async () => {
+    const probe = await probeCapabilities();
+    expect(probe.runtime).toBe(runtime);
+    expect(probe.platform).toBe(platform);
+    for (const mechanism of MECHANISMS) {
+      const { available, code, reason } = probe[mechanism];
+      expect(typeof available).toBe('boolean');
+      if (available) {
+        expect(code).toBe(null);
+        expect(reason).toBe(null);
+      } else {
+        expect(typeof code).toBe('string');
+        expect(typeof reason).toBe('string');
+      }
+    }
+  });
+
+  it('should not change the visible name', async () => {
+    const before = getProcessName({ source: 'all' });
+    await probeCapabilities();
+    expect(getProcessName({ source: 'all' })).toEqual(before);
+  });
+
+  it('should report Linux-only mechanisms elsewhere', async () => {
+    if (platform === 'linux') {
+      return;
+    }
+    const probe = await probeCapabilities();
+    expect(probe.prctl.code).toBe('UNSUPPORTED_PLATFORM');
+    expect(probe.comm.code).toBe('UNSUPPORTED_PLATFORM');
+    expect(probe.cmdline.code).toBe('UNSUPPORTED_PLATFORM');
+  });
+
+  it('should exercise /proc on Node.js on Linux', async () => {
+    if (runtime !== 'node' || platform !== 'linux') {
+      return;
+    }
+    const probe = await probeCapabilities();
+    expect(probe.title.available).toBe(true);
+    expect(probe.prctl.code).toBe('UNSUPPORTED_RUNTIME');
+    expect(probe.comm.available).toBe(true);
+    expect(probe.cmdline.available).toBe(true);
+  });
+
+  it('should report a libc that cannot be opened', async () => {
+    if (platform !== 'linux' || (runtime !== 'bun' && runtime !== 'deno')) {
+      return;
+    }
+    const { prctl } = await probeCapabilities({
+      libcPath: '/nonexistent/libc.so.6',
+    });
+    expect(prctl.available).toBe(false);
+    expect(typeof prctl.code).toBe('string');
+  });
+
+  it('should reject a non-string libcPath', async () => {
+    let error = null;
+    try {
+      await probeCapabilities({ libcPath: 42 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error instanceof TypeError).toBe(true);
+  });
+});
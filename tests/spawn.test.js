@@ -0,0 +1,91 @@
+/**
+ * Tests for spawnNamed and forkNamed
+ * Child processes are started with Node.js, so these tests only run on Node.js
+ */
+
+import { fileURLToPath } from 'node:url';
+import { describe, it, expect } from 'test-anywhere';
+import { spawnNamed, forkNamed, detectRuntime } from '../src/index.js';
+
+const isNode = detectRuntime() === 'node';
+
+/**
+ * Collect a child's stdout and wait for it to exit
+ * @param {import('node:child_process').ChildProcess} child - The child
+ * @returns {Promise<{code: number | null, stdout: string}>}
+ */
+const collect = (child) =>
+  new Promise((resolve, reject) => {
+    let stdout = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout }));
+  });
+
+describe('spawnNamed', () => {
+  it('should throw TypeError without a string name', () => {
+    expect(() => spawnNamed('true', [], {})).toThrow(TypeError);
+    expect(() => spawnNamed('true', [], { name: 42 })).toThrow(TypeError);
+  });
+
+  it('should name a Node.js child from inside', async () => {
+    if (!isNode) {
+      return;
+    }
+    const child = spawnNamed(
+      process.execPath,
+      ['-e', 'console.log(process.title)'],
+      { name: 'spawned-node' }
+    );
+    expect(child.processName).toEqual({
+      name: 'spawned-node',
+      method: 'preload',
+    });
+    const { code, stdout } = await collect(child);
+    expect(code).toBe(0);
+    expect(stdout.trim()).toBe('spawned-node');
+  });
+
+  it('should pass the name as argv0 to other programs', async () => {
+    if (!isNode || process.platform === 'win32') {
+      return;
+    }
+    const child = spawnNamed('sh', ['-c', 'echo "$0"'], {
+      name: 'spawned-shell',
+    });
+    expect(child.processName.method).toBe('argv0');
+    const { stdout } = await collect(child);
+    expect(stdout.trim()).toBe('spawned-shell');
+  });
+
+  it('should accept options without args', async () => {
+    if (!isNode || process.platform === 'win32') {
+      return;
+    }
+    const child = spawnNamed('true', { name: 'spawned-no-args' });
+    expect(child.processName.name).toBe('spawned-no-args');
+    const { code } = await collect(child);
+    expect(code).toBe(0);
+  });
+});
+
+describe('forkNamed', () => {
+  it('should name a forked Node.js child', async () => {
+    if (!isNode) {
+      return;
+    }
+    const modulePath = fileURLToPath(
+      import.meta.resolve('./fixtures/print-title.js')
+    );
+    const child = forkNamed(modulePath, [], {
+      name: 'forked-child',
+      silent: true,
+    });
+    expect(child.processName.method).toBe('preload');
+    const { code, stdout } = await collect(child);
+    expect(code).toBe(0);
+    expect(stdout.trim()).toBe('forked-child');
+  });
+});
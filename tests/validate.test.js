@@ -0,0 +1,141 @@
+/**
+ * Tests for the process name character policy
+ */
+
+import { describe, it, expect } from 'test-anywhere';
+import {
+  validateProcessName,
+  sanitizeProcessName,
+  setProcessName,
+  setProcessNameSync,
+  InvalidProcessNameError,
+} from '../src/index.js';
+
+/**
+ * Call a function and return what it threw
+ * @param {() => unknown} fn - Function expected to throw
+ * @returns {unknown} The thrown error, or null
+ */
+const catchError = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('validateProcessName', () => {
+  it('should return valid names unchanged', () => {
+    expect(validateProcessName('my-app')).toBe('my-app');
+    expect(validateProcessName('сервис 🚀')).toBe('сервис 🚀');
+  });
+
+  it('should reject empty names', () => {
+    const error = catchError(() => validateProcessName(''));
+    expect(error instanceof InvalidProcessNameError).toBe(true);
+    expect(error instanceof TypeError).toBe(true);
+    expect(error.code).toBe('EMPTY_NAME');
+  });
+
+  it('should reject control characters', () => {
+    for (const name of [
+      'a\0b',
+      'a\nb',
+      'a\tb',
+      'a\x7fb',
+      'a\x85b',
+      'a\u2028b',
+    ]) {
+      const error = catchError(() => validateProcessName(name));
+      expect(error.code).toBe('CONTROL_CHARACTER');
+      expect(error.processName).toBe(name);
+    }
+  });
+
+  it('should name the character and its position', () => {
+    const error = catchError(() => validateProcessName('job\n42'));
+    expect(error.message).toContain('U+000A');
+    expect(error.message).toContain('index 3');
+  });
+
+  it('should throw TypeError for non-string input', () => {
+    expect(() => validateProcessName(42)).toThrow(TypeError);
+  });
+});
+
+describe('sanitizeProcessName', () => {
+  it('should replace runs of control characters with a space', () => {
+    expect(sanitizeProcessName('import\n\tjob 42\n')).toBe('import job 42');
+    expect(sanitizeProcessName('a\0b')).toBe('a b');
+  });
+
+  it('should keep valid names unchanged', () => {
+    expect(sanitizeProcessName(' my app ')).toBe(' my app ');
+  });
+
+  it('should return an empty string when nothing is left', () => {
+    expect(sanitizeProcessName('\n\t')).toBe('');
+  });
+});
+
+describe('setProcessName onInvalid option', () => {
+  it('should sanitize by default', async () => {
+    const result = await setProcessName('job\n42');
+    expect(result.sanitized).toBe(true);
+    expect(result.effectiveName).toBe('job 42');
+    if (result.processTitle) {
+      expect(process.title).toBe('job 42');
+    }
+  });
+
+  it('should not sanitize valid names', () => {
+    expect(setProcessNameSync('valid-name').sanitized).toBe(false);
+  });
+
+  it('should throw with onInvalid: throw', async () => {
+    let error = null;
+    try {
+      await setProcessName('job\n42', { onInvalid: 'throw' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error instanceof InvalidProcessNameError).toBe(true);
+    expect(() => setProcessNameSync('', { onInvalid: 'throw' })).toThrow(
+      InvalidProcessNameError
+    );
+  });
+
+  it('should apply nothing with onInvalid: ignore', async () => {
+    await setProcessName('before-ignore');
+    const result = await setProcessName('job\n42', { onInvalid: 'ignore' });
+    expect(result.success).toBe(false);
+    expect(result.backends).toEqual({});
+    expect(result.errors[0].backend).toBe('validation');
+    expect(result.errors[0].code).toBe('CONTROL_CHARACTER');
+    if (typeof process !== 'undefined' && process.title === 'before-ignore') {
+      expect(process.title).toBe('before-ignore');
+    }
+  });
+
+  it('should never apply an empty name', () => {
+    const result = setProcessNameSync('\n');
+    expect(result.success).toBe(false);
+    expect(result.errors[0].code).toBe('CONTROL_CHARACTER');
+    expect(setProcessNameSync('').errors[0].code).toBe('EMPTY_NAME');
+  });
+
+  it('should apply the policy to the comm option', () => {
+    const result = setProcessNameSync('comm-policy', { comm: 'a\tb' });
+    expect(result.sanitized).toBe(true);
+    if (result.platform === 'linux') {
+      expect(result.effectiveName).toBe('a b');
+    }
+  });
+
+  it('should reject unknown policies', () => {
+    expect(() => setProcessNameSync('x', { onInvalid: 'drop' })).toThrow(
+      TypeError
+    );
+  });
+});
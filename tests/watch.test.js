@@ -0,0 +1,82 @@
+/**
+ * Tests for watchProcessName
+ */
+
+import { setTimeout as delay } from 'node:timers/promises';
+import { describe, it, expect } from 'test-anywhere';
+import {
+  setProcessName,
+  restoreProcessName,
+  watchProcessName,
+  detectRuntime,
+} from '../src/index.js';
+
+// Drift is only seen where something else can assign process.title
+const canTest = detectRuntime() === 'node';
+
+describe('watchProcessName', () => {
+  it('should validate its arguments', () => {
+    expect(() => watchProcessName('not a function')).toThrow(TypeError);
+    expect(() => watchProcessName(() => {}, { interval: 0 })).toThrow(
+      TypeError
+    );
+  });
+
+  it('should report nothing while the name is unchanged', async () => {
+    await setProcessName('watch-steady');
+    const drifts = [];
+    const watcher = watchProcessName((drift) => drifts.push(drift));
+    expect(watcher.check()).toBe(null);
+    expect(drifts.length).toBe(0);
+    watcher.stop();
+  });
+
+  it('should report a drift once', async () => {
+    if (!canTest) {
+      return;
+    }
+    await setProcessName('watch-expected');
+    const drifts = [];
+    const watcher = watchProcessName((drift) => drifts.push(drift));
+    process.title = 'watch-intruder';
+
+    const drift = watcher.check();
+    expect(drift.expected.title).toBe('watch-expected');
+    expect(drift.actual.title).toBe('watch-intruder');
+    expect(drift.reasserted).toBe(null);
+    expect(watcher.check()).toBe(null);
+    expect(drifts.length).toBe(1);
+    watcher.stop();
+  });
+
+  it('should put the name back with reassert', async () => {
+    if (!canTest) {
+      return;
+    }
+    await setProcessName('watch-reassert');
+    const drifts = [];
+    const watcher = watchProcessName((drift) => drifts.push(drift), {
+      interval: 20,
+      reassert: true,
+    });
+    process.title = 'watch-intruder';
+    await delay(100);
+    watcher.stop();
+
+    expect(drifts.length).toBe(1);
+    expect(drifts[0].reasserted).toBe(true);
+    expect(process.title).toBe('watch-reassert');
+  });
+
+  it('should ignore changes after restoreProcessName', async () => {
+    if (!canTest) {
+      return;
+    }
+    await setProcessName('watch-restored');
+    await restoreProcessName();
+    const watcher = watchProcessName(() => {});
+    process.title = 'watch-intruder';
+    expect(watcher.check()).toBe(null);
+    watcher.stop();
+  });
+});